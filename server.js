@@ -1,7 +1,11 @@
 require('dotenv').config();
 const app = require('./src/app');
+const { handlePreviewUpgrade } = require('./src/services/preview');
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Servidor rodando em http://localhost:${PORT}`);
 });
+
+// WebSocket do live-reload dos previews (/preview/:id/*)
+server.on('upgrade', handlePreviewUpgrade);
@@ -4,11 +4,18 @@ const morgan = require('morgan');
 const cors = require('cors');
 
 const projectsRouter = require('./routes/projects');
+const templatesRouter = require('./routes/templates');
+const jobsRouter = require('./routes/jobs');
+const previewRouter = require('./routes/preview');
 const embeddingsRouter = require('./routes/embeddings');
 const errorHandler = require('./middlewares/error');
 
 const app = express();
 
+// Preview dos projetos (proxy para o servidor UI5): antes do helmet e do body parser,
+// a página do projeto precisa dos próprios headers e o corpo segue intacto para o upstream
+app.use('/preview', previewRouter);
+
 // Middlewares básicos e seguros - configurando CSP para permitir inline scripts
 app.use(helmet({
     contentSecurityPolicy: {
@@ -38,6 +45,12 @@ app.get('/test', (_req, res) => res.json({ message: 'ok' }));
 // Rotas de projetos
 app.use('/projects', projectsRouter);
 
+// Catálogo de templates
+app.use('/templates', templatesRouter);
+
+// Jobs assíncronos (docker, builds)
+app.use('/jobs', jobsRouter);
+
 // Rotas de embeddings
 app.use('/embeddings', embeddingsRouter);
 
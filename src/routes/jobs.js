@@ -0,0 +1,51 @@
+const { Router } = require('express');
+const { z } = require('zod');
+const { getJob, listJobs, cancelJob, serializeJob } = require('../services/jobs');
+
+const router = Router();
+
+const listJobsQuery = z.object({
+	projectId: z.string().optional(),
+	state: z.enum(['queued', 'running', 'succeeded', 'failed', 'cancelled']).optional()
+});
+
+// GET /jobs -> lista jobs (filtros: projectId, state)
+router.get('/', (req, res) => {
+	const parsed = listJobsQuery.safeParse(req.query);
+	if (!parsed.success) {
+		return res
+			.status(400)
+			.json({ error: 'Parâmetros inválidos', details: parsed.error.flatten() });
+	}
+
+	res.json(listJobs(parsed.data).map(job => serializeJob(job)));
+});
+
+// GET /jobs/:id -> estado, progresso e saída capturada
+router.get('/:id', (req, res) => {
+	const job = getJob(req.params.id);
+	if (!job) {
+		return res.status(404).json({ error: 'Job não encontrado' });
+	}
+
+	res.json(serializeJob(job, { output: true }));
+});
+
+// POST /jobs/:id/cancel -> cancela um job na fila ou em execução
+router.post('/:id/cancel', (req, res) => {
+	const job = getJob(req.params.id);
+	if (!job) {
+		return res.status(404).json({ error: 'Job não encontrado' });
+	}
+
+	if (!cancelJob(job)) {
+		return res.status(409).json({
+			error: `Job já terminou (${job.state})`,
+			job: serializeJob(job)
+		});
+	}
+
+	res.json(serializeJob(job));
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const { Router } = require('express');
+const { PREVIEW_PREFIX, resolvePreviewTarget, proxyPreviewRequest } = require('../services/preview');
+const { getReadiness } = require('../services/readiness');
+
+// strict: /preview/:id e /preview/:id/ são rotas diferentes
+const router = Router({ strict: true });
+
+// Intervalo de recarga da página de projeto fora do ar (segundos)
+const UNAVAILABLE_REFRESH = 5;
+
+// GET /preview/:id -> barra no final, para os caminhos relativos do index.html funcionarem
+router.get('/:id', (req, res) => {
+	const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+	res.redirect(301, `${PREVIEW_PREFIX}/${encodeURIComponent(req.params.id)}/${query}`);
+});
+
+// ALL /preview/:id/* -> repassa ao servidor UI5 do projeto
+router.all('/:id/*', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const prefix = `${PREVIEW_PREFIX}/${id}`;
+		const rest = req.originalUrl.slice(prefix.length + 1);
+
+		const target = await resolvePreviewTarget(id, rest);
+		if (target.status === 'invalid') {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+		if (target.status === 'not-found') {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+		if (target.status === 'no-port') {
+			return sendUnavailable(res, id, 'O projeto não tem porta alocada para o preview.');
+		}
+
+		proxyPreviewRequest(req, res, target, prefix, (err) => {
+			const readiness = getReadiness(target.projectPath);
+			const reason = readiness && readiness.state === 'starting'
+				? 'O servidor UI5 do projeto está iniciando.'
+				: 'O projeto não está rodando. Inicie-o com POST /projects/:id/docker/start.';
+			sendUnavailable(res, id, reason, err.code);
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// Função auxiliar: página 503 legível (o preview costuma ser aberto direto no navegador)
+function sendUnavailable(res, id, reason, code) {
+	const escape = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+	res
+		.status(503)
+		.set('Retry-After', String(UNAVAILABLE_REFRESH))
+		.type('html')
+		.send(`<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+	<meta charset="utf-8">
+	<meta http-equiv="refresh" content="${UNAVAILABLE_REFRESH}">
+	<title>Preview indisponível - ${escape(id)}</title>
+	<style>
+		body { font-family: sans-serif; max-width: 40rem; margin: 4rem auto; color: #32363a; }
+		code { background: #f2f2f2; padding: 0 .25rem; }
+		small { color: #6a6d70; }
+	</style>
+</head>
+<body>
+	<h1>Preview indisponível</h1>
+	<p>Projeto <code>${escape(id)}</code>: ${escape(reason)}</p>
+	<p><small>Esta página recarrega a cada ${UNAVAILABLE_REFRESH} segundos.${code ? ` (${escape(code)})` : ''}</small></p>
+</body>
+</html>
+`);
+}
+
+module.exports = router;
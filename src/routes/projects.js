@@ -3,17 +3,244 @@ const fs = require('fs/promises');
 const path = require('path');
 const { z } = require('zod');
 const { spawn } = require('child_process');
-const { isValidProjectId, resolveProjectPath, ensureBaseDir, BASE_DIR } = require('../utils/paths');
+const multer = require('multer');
+const { isValidProjectId, resolveProjectPath, ensureBaseDir, isInsidePath, BASE_DIR } = require('../utils/paths');
+const { getTemplate, validateTemplateParameters, instantiateTemplate } = require('../services/templates');
+const { rewriteNamespace, isBinaryBuffer } = require('../services/templating');
+const {
+	readProjectMeta,
+	writeProjectMeta,
+	createProjectMeta,
+	updateProjectMeta,
+	touchProject,
+	detectProjectNamespace,
+	computeEtag,
+	computeFileEtag,
+	readFileVersion,
+	matchesIfMatch,
+	PROJECT_META_FILE
+} = require('../services/projects');
+const { withLock, withLocks } = require('../utils/lock');
+const { buildSearchRegex, searchProject } = require('../services/search');
+const { TREE_MAX_ENTRIES, createIgnoreMatcher, listProjectEntries } = require('../services/tree');
+const { initRepository, recordChange, hasRepository, getHistory, getDiff, restoreCommit, isValidRef } = require('../services/git');
+const { createZipStream, extractZip } = require('../services/archive');
+const { updateArtifactReferences } = require('../services/ui5');
+const { DEFAULT_FUZZ, parseUnifiedDiff, applyHunks, writeFilesAtomically } = require('../services/patch');
+const { applyBatch } = require('../services/batch');
+const { subscribeProjectEvents, publishProjectEvent, closeProjectEvents } = require('../services/events');
+const {
+	allocateProjectPort,
+	allocateLivereloadPort,
+	releaseProjectPort,
+	applyProjectPorts,
+	getPreviewUrl
+} = require('../services/ports');
+const { prepareContainerBuild, recordContainerBuild, getContainerBuildStatus } = require('../services/docker');
+const { createJob, serializeJob } = require('../services/jobs');
+const { waitForReady, startReadinessProbe, checkReadiness, clearReadiness } = require('../services/readiness');
+const {
+	RUNTIME_DRIVER,
+	installDependencies,
+	startProjectProcess,
+	stopProjectProcess,
+	getProcessStatus,
+	readProcessLogs,
+	followProcessLogs,
+	formatLogEntry
+} = require('../services/runtime');
+const {
+	hasBuildScript,
+	runProjectBuild,
+	listBuilds,
+	isValidBuildId,
+	getBuild,
+	renameProjectBuilds,
+	removeProjectBuilds
+} = require('../services/builds');
+const { validateProject } = require('../services/validation');
+const { planPageScaffold } = require('../services/scaffold');
+const { parseMetadata, planODataService, listODataServices } = require('../services/odata');
 
 const router = Router();
 
+// Configuração do multer para upload de projetos (.zip)
+const upload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: parseInt(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024 // 10MB default
+	}
+});
+
+// Limite do conteúdo descompactado de um zip importado (proteção contra zip bomb)
+const IMPORT_MAX_SIZE = parseInt(process.env.IMPORT_MAX_SIZE) || 200 * 1024 * 1024; // 200MB default
+
 const createProjectBody = z.object({
 	id: z.string().min(1).max(64),
 	meta: z.record(z.any()).optional(),
 	template: z.string().optional(),
-	namespace: z.string().min(1).optional() // Novo campo para namespace
+	namespace: z.string().min(1).optional(), // Novo campo para namespace
+	parameters: z.record(z.any()).optional() // Parâmetros declarados no template.json
+});
+
+const NAMESPACE_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*)*$/;
+
+// Função auxiliar: namespace padrão a partir do id (ids aceitam hífen e dígito inicial, namespaces UI5 não)
+function defaultNamespace(id) {
+	const namespace = id.replace(/[^a-zA-Z0-9_]/g, '_');
+	return /^[0-9]/.test(namespace) ? `_${namespace}` : namespace;
+}
+
+// Campos editáveis do project.json (null limpa o campo)
+const updateProjectBody = z.object({
+	description: z.string().max(2000).nullable().optional(),
+	tags: z.array(z.string().trim().min(1).max(50)).max(50).transform(tags => [...new Set(tags)]).optional(),
+	owner: z.string().trim().min(1).max(200).nullable().optional(),
+	ui5Version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Versão UI5 inválida (ex.: 1.120.0)').nullable().optional(),
+	backendUrl: z.string().url().nullable().optional(),
+	meta: z.record(z.any()).optional() // Campos livres (substitui o objeto inteiro)
+}).strict().refine(body => Object.keys(body).length > 0, 'Informe ao menos um campo');
+
+const cloneProjectBody = z.object({
+	id: z.string().min(1).max(64),
+	namespace: z.string().regex(NAMESPACE_REGEX, 'Namespace inválido (ex.: zcompany.sales.orders)').optional()
+});
+
+const renameProjectBody = z.object({
+	id: z.string().min(1).max(64)
+});
+
+const importProjectBody = z.object({
+	id: z.string().min(1).max(64),
+	meta: z.string().optional() // JSON enviado como campo do formulário multipart
+});
+
+const moveBody = z.object({
+	from: z.string().min(1),
+	to: z.string().min(1),
+	overwrite: z.boolean().optional().default(false),
+	updateReferences: z.boolean().optional().default(false) // Atualiza controllerName/viewName/manifest
+});
+
+const treeQuery = z.object({
+	path: z.string().optional(), // Subpasta a expandir (lazy)
+	depth: z.string().transform(val => parseInt(val)).pipe(z.number().int().min(1).max(50)).optional(),
+	format: z.enum(['tree', 'flat']).optional().default('tree'),
+	ignore: z.string().max(2000).optional(), // Padrões extras estilo .gitignore, separados por vírgula
+	ignoreDefaults: z.enum(['true', 'false']).optional().default('true'),
+	limit: z.string().transform(val => parseInt(val)).pipe(z.number().int().min(1).max(TREE_MAX_ENTRIES)).optional().default(String(TREE_MAX_ENTRIES)),
+	offset: z.string().transform(val => parseInt(val)).pipe(z.number().int().min(0)).optional().default('0') // Só com format=flat
+});
+
+const searchQuery = z.object({
+	q: z.string().min(1).max(500),
+	regex: z.enum(['true', 'false']).optional().default('false'),
+	caseSensitive: z.enum(['true', 'false']).optional().default('false'),
+	wholeWord: z.enum(['true', 'false']).optional().default('false'),
+	glob: z.string().max(200).optional(),
+	path: z.string().optional(), // Pasta inicial (relativa ao projeto)
+	context: z.string().transform(val => parseInt(val)).pipe(z.number().int().min(0).max(10)).optional().default('2'),
+	limit: z.string().transform(val => parseInt(val)).pipe(z.number().int().min(1).max(1000)).optional().default('200')
+});
+
+const eventsQuery = z.object({
+	ignore: z.string().max(2000).optional() // Padrões extras estilo .gitignore, separados por vírgula
+});
+
+// Intervalo do comentário de keep-alive do SSE (proxies derrubam conexões ociosas)
+const SSE_HEARTBEAT_INTERVAL = 25000;
+
+// Opções de prontidão aceitas por start/restart/rebuild
+const dockerReadinessFields = {
+	waitReady: z.boolean().optional().default(false), // O job só termina quando o app responder
+	readyTimeout: z.number().int().min(1).max(1800).optional() // Segundos; padrão READINESS_TIMEOUT
+};
+
+const dockerStartBody = z.object(dockerReadinessFields);
+
+const dockerRebuildBody = z.object({
+	noCache: z.boolean().optional().default(false), // Ignora o cache de camadas (reinstala dependências)
+	...dockerReadinessFields
+});
+
+const dockerLogsQuery = z.object({
+	tail: z.union([
+		z.literal('all'),
+		z.string().regex(/^\d+$/, 'tail deve ser um número ou "all"').transform(val => parseInt(val)).pipe(z.number().int().min(0).max(10000))
+	]).optional().default('100'),
+	since: z.string().regex(/^[0-9A-Za-z:.+-]{1,40}$/, 'since inválido (ex.: 10m, 2024-01-01T10:00:00)').optional(),
+	follow: z.enum(['true', 'false']).optional().default('false'),
+	timestamps: z.enum(['true', 'false']).optional().default('false'),
+	format: z.enum(['sse', 'text']).optional() // Só com follow; padrão pelo header Accept
+});
+
+const revertBody = z.object({
+	commit: z.string().min(1).refine(isValidRef, 'Commit inválido'),
+	filepath: z.string().min(1).optional() // Sem filepath restaura o projeto inteiro
 });
 
+const patchBody = z.object({
+	patch: z.string().min(1), // Diff unificado (git diff ou diff -u), um ou vários arquivos
+	fuzz: z.number().int().min(0).max(3).optional().default(DEFAULT_FUZZ),
+	strip: z.number().int().min(0).max(10).optional(), // Como patch -pN (padrão: remove a/ e b/)
+	dryRun: z.boolean().optional().default(false) // Só verifica, não grava
+});
+
+const batchFilePath = z.string().min(1);
+const batchEncoding = z.enum(['utf8', 'base64']).optional().default('utf8');
+
+const batchOperation = z.discriminatedUnion('op', [
+	z.object({
+		op: z.literal('create'),
+		filepath: batchFilePath,
+		content: z.string(),
+		encoding: batchEncoding,
+		overwrite: z.boolean().optional().default(false)
+	}),
+	z.object({
+		op: z.literal('update'),
+		filepath: batchFilePath,
+		content: z.string(),
+		encoding: batchEncoding,
+		ifMatch: z.string().optional() // Mesmo formato do header If-Match
+	}),
+	z.object({
+		op: z.literal('delete'),
+		filepath: batchFilePath // Arquivo ou pasta
+	}),
+	z.object({
+		op: z.literal('move'),
+		from: batchFilePath,
+		to: batchFilePath,
+		overwrite: z.boolean().optional().default(false)
+	})
+]);
+
+const batchBody = z.object({
+	operations: z.array(batchOperation).min(1).max(200),
+	message: z.string().min(1).max(200).optional() // Mensagem do commit no histórico
+});
+
+const scaffoldPageBody = z.object({
+	name: z.string().regex(/^[A-Z][A-Za-z0-9]{0,63}$/, 'Nome da página em PascalCase (ex.: OrderDetail)'),
+	title: z.string().trim().min(1).max(200).optional(), // Texto do i18n; padrão derivado do nome
+	routeName: z.string().regex(/^[A-Za-z_][\w]{0,63}$/, 'Nome de rota inválido').optional(), // Padrão: nome em camelCase
+	// Padrão da rota com parâmetros do UI5 (ex.: orders/{orderId}/:tab:); padrão: nome em kebab-case
+	pattern: z.string().max(200).regex(/^[\w\-./{}:?*]*$/, 'Padrão de rota inválido').optional(),
+	variant: z.enum(['page', 'fragment', 'dialog']).optional().default('page'), // Conteúdo em fragment ou com diálogo
+	overwrite: z.boolean().optional().default(false)
+});
+
+// Campos do formulário multipart do upload de $metadata
+const odataServiceBody = z.object({
+	name: z.string().regex(/^[A-Za-z_][\w]{0,63}$/, 'Nome de dataSource inválido').optional().default('mainService'),
+	uri: z.string().trim().min(1).max(500).regex(/^\S+$/, 'URI inválida').optional(), // Obrigatória para serviço novo
+	model: z.string().regex(/^([A-Za-z_][\w]{0,63})?$/, 'Nome de modelo inválido').optional() // Padrão: "" no mainService, senão o name
+});
+
+// Pastas geradas na raiz do projeto que não são copiadas ao clonar
+const CLONE_SKIP_DIRS = ['node_modules', 'dist'];
+
 // GET /projects -> lista todos os projetos
 router.get('/', async (req, res, next) => {
 	try {
@@ -22,7 +249,8 @@ router.get('/', async (req, res, next) => {
 		const projects = [];
 
 		for (const entry of entries) {
-			if (entry.isDirectory()) {
+			// Pastas ocultas (ex.: .staging dos lotes) não são projetos
+			if (entry.isDirectory() && !entry.name.startsWith('.')) {
 				const projectPath = path.join(BASE_DIR, entry.name);
 				const metaPath = path.join(projectPath, 'project.json');
 				
@@ -60,7 +288,7 @@ router.post('/', async (req, res, next) => {
 				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
 		}
 
-		const { id, meta, template, namespace } = parsed.data;
+		const { id, meta, template, namespace, parameters } = parsed.data;
 		if (!isValidProjectId(id)) {
 			return res.status(400).json({
 				error: 'id inválido. Use apenas letras, números, hífen e sublinhado (1–64 chars).'
@@ -68,63 +296,145 @@ router.post('/', async (req, res, next) => {
 		}
 
 		const projectPath = resolveProjectPath(id);
+		const isNewProject = !await pathExists(projectPath);
 
-		let created = false;
+		// Portas do host e do live-reload do projeto (reaproveita as do project.json se o projeto já existir)
+		let port;
+		let livereloadPort;
 		try {
-			await fs.mkdir(projectPath, { recursive: false });
-			created = true;
+			port = await allocateProjectPort(projectPath);
+			livereloadPort = await allocateLivereloadPort(projectPath);
 		} catch (e) {
-			if (e.code !== 'EEXIST') throw e;
+			if (isNewProject) await releaseProjectPort(projectPath);
+			if (e.code === 'ENOPORT') return res.status(503).json({ error: e.message });
+			throw e;
 		}
 
-		// Se um template foi especificado, copiar os arquivos do template
+		// Se um template foi especificado, validar parâmetros antes de criar qualquer coisa
+		let templateDef = null;
+		let templateParams = null;
 		if (template) {
-			const templatesDir = path.join(__dirname, '../../templates');
-			const templatePath = path.join(templatesDir, template);
-			
+			templateDef = await getTemplate(template);
+			if (!templateDef) {
+				if (isNewProject) await releaseProjectPort(projectPath);
+				return res.status(400).json({
+					error: `Template '${template}' não encontrado`
+				});
+			}
+
+			const values = { ...(parameters || {}) };
+			if (templateDef.parameters.namespace && values.namespace === undefined) {
+				// Se não fornecido, mantém o do projeto ou deriva do ID
+				const existingMeta = isNewProject ? null : await readProjectMeta(projectPath);
+				const existingNamespace = existingMeta && NAMESPACE_REGEX.test(existingMeta.namespace || '')
+					? existingMeta.namespace
+					: null;
+				values.namespace = namespace || existingNamespace || defaultNamespace(id);
+			}
+			// O docker-compose do template recebe a porta alocada para o projeto
+			if (templateDef.parameters.hostPort && values.hostPort === undefined) {
+				values.hostPort = port;
+			}
+			// ui5.yaml e docker-compose recebem a porta de live-reload do projeto
+			if (templateDef.parameters.livereloadPort && values.livereloadPort === undefined) {
+				values.livereloadPort = livereloadPort;
+			}
+
+			const parsedParams = validateTemplateParameters(templateDef, values);
+			if (!parsedParams.success) {
+				if (isNewProject) await releaseProjectPort(projectPath);
+				return res.status(400).json({
+					error: `Parâmetros inválidos para o template '${template}'`,
+					details: parsedParams.error.flatten()
+				});
+			}
+			templateParams = parsedParams.data;
+
+			// hostPort/livereloadPort informados explicitamente passam a ser as portas do projeto
 			try {
-				// Verificar se o template existe
-				const templateStat = await fs.stat(templatePath);
-				if (!templateStat.isDirectory()) {
-					return res.status(400).json({
-						error: `Template '${template}' não é um diretório válido`
-					});
+				if (templateParams.hostPort !== undefined && templateParams.hostPort !== port) {
+					port = await allocateProjectPort(projectPath, templateParams.hostPort);
 				}
-
-				// Copiar arquivos do template para o projeto com substituições
-				const targetNamespace = namespace || id; // Se não fornecido, usa o ID
-				await copyDirectory(templatePath, projectPath, targetNamespace);
-			} catch (e) {
-				if (e.code === 'ENOENT') {
-					return res.status(400).json({
-						error: `Template '${template}' não encontrado`
-					});
+				if (templateParams.livereloadPort !== undefined && templateParams.livereloadPort !== livereloadPort) {
+					livereloadPort = await allocateLivereloadPort(projectPath, templateParams.livereloadPort);
 				}
-				throw e;
+			} catch (e) {
+				if (e.code !== 'EPORTINUSE') throw e;
+				if (isNewProject) await releaseProjectPort(projectPath);
+				return res.status(409).json({ error: e.message });
 			}
 		}
 
-		if (meta && typeof meta === 'object') {
-			const metaPath = path.join(projectPath, 'project.json');
-			const projectData = { 
-				id, 
-				meta, 
-				template: template || null,
-				namespace: namespace || id,
-				createdAt: new Date().toISOString() 
-			};
-			await fs.writeFile(
-				metaPath,
-				JSON.stringify(projectData, null, 2)
+		let created = false;
+		let projectNamespace;
+		let projectData;
+		try {
+			try {
+				await fs.mkdir(projectPath, { recursive: false });
+				created = true;
+			} catch (e) {
+				if (e.code !== 'EEXIST') throw e;
+			}
+
+			// Copiar arquivos do template para o projeto renderizando os placeholders
+			if (templateDef) {
+				await instantiateTemplate(templateDef, projectPath, templateParams, { projectId: id });
+			}
+
+			// Todo projeto nasce com histórico git; aplicar outro template vira um novo commit
+			await recordChange(
+				projectPath,
+				templateDef ? `Aplica template ${templateDef.id}` : 'Criação do projeto',
+				{ init: true }
 			);
+
+			// project.json sempre existe; recriar sobre um projeto existente preserva os campos editados
+			const previous = created ? null : await readProjectMeta(projectPath);
+
+			projectNamespace = (templateParams && templateParams.namespace) || namespace
+				|| (previous && previous.namespace) || defaultNamespace(id);
+
+			// Templates sem namespace (ex.: docker) complementam o projeto: o template de origem continua o anterior
+			const isBaseTemplate = Boolean(templateDef && templateDef.parameters.namespace);
+			const projectTemplate = isBaseTemplate || !(previous && previous.template)
+				? (templateDef ? templateDef.id : null)
+				: previous.template;
+			const projectParameters = templateParams || (previous && previous.parameters)
+				? { ...((previous && previous.parameters) || {}), ...(templateParams || {}) }
+				: null;
+
+			projectData = await writeProjectMeta(projectPath, createProjectMeta({
+				...(previous || {}),
+				id,
+				meta: meta || (previous && previous.meta) || {},
+				template: projectTemplate,
+				namespace: projectNamespace,
+				parameters: projectParameters,
+				ui5Version: (templateParams && templateParams.ui5Version) || (templateDef && templateDef.ui5Version)
+					|| (previous && previous.ui5Version) || null,
+				backendUrl: (templateParams && templateParams.backendUrl) || (previous && previous.backendUrl) || null,
+				port,
+				livereloadPort,
+				createdAt: (previous && previous.createdAt) || new Date().toISOString(),
+				updatedAt: new Date().toISOString()
+			}));
+		} catch (e) {
+			// Falha no meio da criação: sem pasta parcial nem portas reservadas para um projeto que não existe
+			if (created) await fs.rm(projectPath, { recursive: true, force: true });
+			if (isNewProject) await releaseProjectPort(projectPath);
+			throw e;
 		}
 
 		return res.status(created ? 201 : 200).json({
 			id,
 			baseDir: BASE_DIR,
 			path: projectPath,
-			template: template || null,
-			namespace: namespace || id,
+			template: templateDef ? templateDef.id : null,
+			namespace: projectNamespace,
+			parameters: templateParams,
+			port,
+			livereloadPort,
+			meta: projectData,
 			created
 		});
 	} catch (err) {
@@ -132,8 +442,8 @@ router.post('/', async (req, res, next) => {
 	}
 });
 
-// GET /projects/:id/tree -> árvore de arquivos do projeto
-router.get('/:id/tree', async (req, res, next) => {
+// GET /projects/:id -> metadados do projeto (project.json)
+router.get('/:id', async (req, res, next) => {
 	try {
 		const { id } = req.params;
 		if (!isValidProjectId(id)) {
@@ -141,84 +451,168 @@ router.get('/:id/tree', async (req, res, next) => {
 		}
 
 		const projectPath = resolveProjectPath(id);
-		
+
+		// Verificar se o projeto existe
 		try {
-			await fs.access(projectPath);
+			const stats = await fs.stat(projectPath);
+			if (!stats.isDirectory()) throw new Error('not a directory');
 		} catch (e) {
 			return res.status(404).json({ error: 'Projeto não encontrado' });
 		}
 
-		const tree = await buildFileTree(projectPath);
-		res.json({ id, tree });
+		res.json({
+			id,
+			path: projectPath,
+			meta: await readProjectMeta(projectPath)
+		});
 	} catch (err) {
 		next(err);
 	}
 });
 
-// POST /projects/:id/docker/start -> inicia container do projeto
-router.post('/:id/docker/start', async (req, res, next) => {
+// PATCH /projects/:id -> atualizar metadados (descrição, tags, responsável, versão UI5, backend)
+router.patch('/:id', async (req, res, next) => {
 	try {
 		const { id } = req.params;
 		if (!isValidProjectId(id)) {
 			return res.status(400).json({ error: 'ID de projeto inválido' });
 		}
 
+		const parsed = updateProjectBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
 		const projectPath = resolveProjectPath(id);
-		
+
+		// Verificar se o projeto existe
 		try {
-			await fs.access(projectPath);
+			const stats = await fs.stat(projectPath);
+			if (!stats.isDirectory()) throw new Error('not a directory');
 		} catch (e) {
 			return res.status(404).json({ error: 'Projeto não encontrado' });
 		}
 
-		// Executar docker-compose up
-		const result = await executeDockerCommand(projectPath, ['up', '-d']);
-		
+		const projectData = await updateProjectMeta(projectPath, {
+			...parsed.data,
+			updatedAt: new Date().toISOString()
+		});
+
 		res.json({
 			id,
-			action: 'start',
-			success: result.success,
-			output: result.output,
-			error: result.error
+			path: projectPath,
+			meta: projectData
 		});
 	} catch (err) {
 		next(err);
 	}
 });
 
-// POST /projects/:id/docker/stop -> para container do projeto
-router.post('/:id/docker/stop', async (req, res, next) => {
+// POST /projects/import -> cria um projeto a partir de um zip (campo "archive")
+router.post('/import', upload.single('archive'), async (req, res, next) => {
 	try {
-		const { id } = req.params;
+		await ensureBaseDir();
+
+		if (!req.file) {
+			return res.status(400).json({ error: 'Nenhum arquivo foi enviado (campo "archive")' });
+		}
+
+		const parsed = importProjectBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Dados do formulário inválidos', details: parsed.error.flatten() });
+		}
+
+		const { id, meta } = parsed.data;
 		if (!isValidProjectId(id)) {
-			return res.status(400).json({ error: 'ID de projeto inválido' });
+			return res.status(400).json({
+				error: 'id inválido. Use apenas letras, números, hífen e sublinhado (1–64 chars).'
+			});
+		}
+
+		let parsedMeta = {};
+		if (meta && meta.trim()) {
+			try {
+				parsedMeta = JSON.parse(meta);
+			} catch (error) {
+				return res.status(400).json({
+					error: 'meta deve ser um JSON válido',
+					details: error.message
+				});
+			}
 		}
 
 		const projectPath = resolveProjectPath(id);
-		
 		try {
-			await fs.access(projectPath);
+			await fs.mkdir(projectPath, { recursive: false });
 		} catch (e) {
-			return res.status(404).json({ error: 'Projeto não encontrado' });
+			if (e.code === 'EEXIST') {
+				return res.status(409).json({ error: `Projeto '${id}' já existe` });
+			}
+			throw e;
 		}
 
-		// Executar docker-compose down
-		const result = await executeDockerCommand(projectPath, ['down']);
-		
-		res.json({
+		let port;
+		let livereloadPort;
+		try {
+			port = await allocateProjectPort(projectPath);
+			livereloadPort = await allocateLivereloadPort(projectPath);
+		} catch (e) {
+			await fs.rm(projectPath, { recursive: true, force: true });
+			await releaseProjectPort(projectPath);
+			if (e.code === 'ENOPORT') return res.status(503).json({ error: e.message });
+			throw e;
+		}
+
+		// O project.json do zip é descartado: o projeto importado recebe um novo
+		let files;
+		try {
+			files = await extractZip(req.file.buffer, projectPath, {
+				skip: [PROJECT_META_FILE],
+				maxSize: IMPORT_MAX_SIZE
+			});
+		} catch (e) {
+			await fs.rm(projectPath, { recursive: true, force: true });
+			await releaseProjectPort(projectPath);
+			if (e.code === 'EARCHIVE') {
+				return res.status(400).json({ error: e.message });
+			}
+			throw e;
+		}
+
+		// As portas do docker-compose.yml/ui5.yaml do zip podem colidir com as de outro projeto
+		await applyProjectPorts(projectPath, { port, livereloadPort });
+
+		await recordChange(projectPath, `Importação de ${req.file.originalname}`, { init: true });
+
+		const projectData = await writeProjectMeta(projectPath, createProjectMeta({
 			id,
-			action: 'stop',
-			success: result.success,
-			output: result.output,
-			error: result.error
+			meta: parsedMeta || {},
+			template: null,
+			namespace: (await detectProjectNamespace(projectPath)) || defaultNamespace(id),
+			port,
+			livereloadPort,
+			importedFrom: req.file.originalname
+		}));
+
+		res.status(201).json({
+			id,
+			path: projectPath,
+			namespace: projectData.namespace,
+			port,
+			livereloadPort,
+			files: files.length
 		});
 	} catch (err) {
 		next(err);
 	}
 });
 
-// GET /projects/:id/docker/status -> status do container do projeto
-router.get('/:id/docker/status', async (req, res, next) => {
+// GET /projects/:id/export -> baixa o projeto como zip (sem node_modules e dist)
+router.get('/:id/export', async (req, res, next) => {
 	try {
 		const { id } = req.params;
 		if (!isValidProjectId(id)) {
@@ -226,227 +620,1683 @@ router.get('/:id/docker/status', async (req, res, next) => {
 		}
 
 		const projectPath = resolveProjectPath(id);
-		
+
 		try {
 			await fs.access(projectPath);
 		} catch (e) {
 			return res.status(404).json({ error: 'Projeto não encontrado' });
 		}
 
-		// Executar docker-compose ps
-		const result = await executeDockerCommand(projectPath, ['ps', '--format', 'json']);
-		
-		let containers = [];
-		if (result.success && result.output) {
-			try {
-				// Parse do output JSON
-				const lines = result.output.trim().split('\n').filter(line => line.trim());
-				containers = lines.map(line => JSON.parse(line));
-			} catch (e) {
-				// Se falhar o parse, retorna output raw
-			}
-		}
-
-		res.json({
-			id,
-			containers,
-			raw_output: result.output,
-			success: result.success,
-			error: result.error
+		const archive = createZipStream(projectPath);
+		archive.on('error', (err) => {
+			// Com o download já iniciado só resta abortar a resposta
+			if (res.headersSent) return res.destroy(err);
+			next(err);
 		});
+
+		res.attachment(`${id}.zip`);
+		archive.pipe(res);
+		await archive.finalize();
 	} catch (err) {
 		next(err);
 	}
 });
 
-// Função auxiliar para executar comandos docker-compose
-function executeDockerCommand(projectPath, args) {
-	return new Promise((resolve) => {
-		const child = spawn('docker-compose', args, {
-			cwd: projectPath,
-			stdio: ['pipe', 'pipe', 'pipe']
-		});
+// GET /projects/:id/tree -> árvore de arquivos do projeto (ignore, depth, path e format=flat)
+router.get('/:id/tree', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
 
-		let stdout = '';
-		let stderr = '';
+		const parsed = treeQuery.safeParse(req.query);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Parâmetros inválidos', details: parsed.error.flatten() });
+		}
 
-		child.stdout.on('data', (data) => {
-			stdout += data.toString();
-		});
+		const { depth, format, ignore: extraIgnores, ignoreDefaults, limit, offset } = parsed.data;
+		if (offset > 0 && format !== 'flat') {
+			return res.status(400).json({ error: 'offset só é suportado com format=flat' });
+		}
+		const projectPath = resolveProjectPath(id);
+		
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
 
-		child.stderr.on('data', (data) => {
-			stderr += data.toString();
-		});
+		// Expansão sob demanda de uma subpasta
+		let startPath = '';
+		if (parsed.data.path) {
+			const fullStartPath = path.join(projectPath, parsed.data.path);
+			if (!isInsidePath(projectPath, fullStartPath) || isGitInternalPath(projectPath, fullStartPath)) {
+				return res.status(400).json({ error: 'Caminho inválido' });
+			}
+			try {
+				if (!(await fs.stat(fullStartPath)).isDirectory()) {
+					return res.status(400).json({ error: 'O caminho especificado não é uma pasta' });
+				}
+			} catch (e) {
+				return res.status(404).json({ error: 'Pasta não encontrada' });
+			}
+			startPath = path.relative(projectPath, fullStartPath).split(path.sep).join('/');
+		}
 
-		child.on('close', (code) => {
-			resolve({
-				success: code === 0,
-				output: stdout,
-				error: stderr,
-				exitCode: code
-			});
+		const ignored = await createIgnoreMatcher(projectPath, {
+			defaults: ignoreDefaults !== 'false',
+			patterns: extraIgnores ? extraIgnores.split(',').map(pattern => pattern.trim()).filter(Boolean) : []
 		});
 
-		child.on('error', (err) => {
-			resolve({
-				success: false,
-				output: '',
-				error: err.message,
-				exitCode: -1
-			});
+		const { entries: tree, truncated } = await listProjectEntries(projectPath, {
+			path: startPath,
+			depth,
+			ignored,
+			format,
+			limit,
+			offset
 		});
-	});
-}
-
-// Função auxiliar para construir árvore de arquivos
-async function buildFileTree(dirPath, relativePath = '') {
-	const entries = await fs.readdir(dirPath, { withFileTypes: true });
-	const tree = [];
-
-	for (const entry of entries) {
-		const fullPath = path.join(dirPath, entry.name);
-		const relPath = path.join(relativePath, entry.name);
-
-		if (entry.isDirectory()) {
-			const children = await buildFileTree(fullPath, relPath);
-			tree.push({
-				name: entry.name,
-				type: 'directory',
-				path: relPath,
-				children
-			});
-		} else {
-			const stats = await fs.stat(fullPath);
-			tree.push({
-				name: entry.name,
-				type: 'file',
-				path: relPath,
-				size: stats.size,
-				modified: stats.mtime
-			});
-		}
-	}
 
-	return tree.sort((a, b) => {
-		// Diretórios primeiro, depois arquivos
-		if (a.type !== b.type) {
-			return a.type === 'directory' ? -1 : 1;
+		const page = { limit, truncated };
+		if (format === 'flat') {
+			page.offset = offset;
+			page.nextOffset = truncated ? offset + tree.length : null;
 		}
-		return a.name.localeCompare(b.name);
-	});
-}
 
-// Função auxiliar para copiar diretório recursivamente com substituições
-async function copyDirectory(src, dest, namespace = null) {
-	const entries = await fs.readdir(src, { withFileTypes: true });
-	
-	for (const entry of entries) {
-		const srcPath = path.join(src, entry.name);
-		const destPath = path.join(dest, entry.name);
-		
-		if (entry.isDirectory()) {
-			await fs.mkdir(destPath, { recursive: true });
-			await copyDirectory(srcPath, destPath, namespace);
-		} else if (entry.isFile()) {
-			// Se namespace fornecido, fazer substituições em arquivos de texto
-			if (namespace && isTextFile(entry.name)) {
-				await copyFileWithSubstitution(srcPath, destPath, namespace);
-			} else {
-				await fs.copyFile(srcPath, destPath);
-			}
-		}
+		res.json({ id, path: startPath, depth: Number.isFinite(depth) ? depth : null, format, ...page, tree });
+	} catch (err) {
+		next(err);
 	}
-}
-
-// Função para verificar se é arquivo de texto
-function isTextFile(filename) {
-	const textExtensions = ['.js', '.json', '.xml', '.html', '.yaml', '.yml', '.properties'];
-	return textExtensions.some(ext => filename.endsWith(ext));
-}
-
-// Função para copiar arquivo com substituições
-async function copyFileWithSubstitution(srcPath, destPath, namespace) {
-	let content = await fs.readFile(srcPath, 'utf8');
-	
-	// Substituir todas as ocorrências de builder.fsc.service pelo namespace
-	content = content.replace(/builder\.fsc\.service/g, namespace);
-	
-	await fs.writeFile(destPath, content, 'utf8');
-}
+});
 
-// GET /projects/:id/files -> ler conteúdo de arquivo
-router.get('/:id/files', async (req, res, next) => {
+// GET /projects/:id/search?q=&regex=&glob= -> busca texto/regex nos arquivos do projeto
+router.get('/:id/search', async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const { filepath, encoding = 'utf8' } = req.query;
-
 		if (!isValidProjectId(id)) {
 			return res.status(400).json({ error: 'ID de projeto inválido' });
 		}
 
-		if (!filepath) {
-			return res.status(400).json({ error: 'Parâmetro filepath é obrigatório' });
+		const parsed = searchQuery.safeParse(req.query);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Parâmetros inválidos', details: parsed.error.flatten() });
 		}
 
+		const { q, regex, caseSensitive, wholeWord, glob, context, limit } = parsed.data;
 		const projectPath = resolveProjectPath(id);
-		const fullFilePath = path.join(projectPath, filepath);
 
-		// Verificar se o projeto existe
 		try {
 			await fs.access(projectPath);
 		} catch (e) {
 			return res.status(404).json({ error: 'Projeto não encontrado' });
 		}
 
-		// Verificar se o arquivo está dentro do projeto (segurança)
-		if (!fullFilePath.startsWith(projectPath)) {
-			return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+		let startPath;
+		if (parsed.data.path) {
+			const fullStartPath = path.join(projectPath, parsed.data.path);
+			if (!isInsidePath(projectPath, fullStartPath)) {
+				return res.status(400).json({ error: 'Caminho inválido' });
+			}
+			try {
+				if (!(await fs.stat(fullStartPath)).isDirectory()) {
+					return res.status(400).json({ error: 'O caminho especificado não é uma pasta' });
+				}
+			} catch (e) {
+				return res.status(404).json({ error: 'Pasta não encontrada' });
+			}
+			startPath = path.relative(projectPath, fullStartPath);
 		}
 
-		// Verificar se o arquivo existe
+		let searchRegex;
+		try {
+			searchRegex = buildSearchRegex(q, {
+				regex: regex === 'true',
+				caseSensitive: caseSensitive === 'true',
+				wholeWord: wholeWord === 'true'
+			});
+		} catch (e) {
+			return res.status(400).json({ error: 'Expressão regular inválida', details: e.message });
+		}
+
+		let found;
+		try {
+			found = await searchProject(projectPath, searchRegex, {
+				glob,
+				context,
+				maxResults: limit,
+				path: startPath,
+				ignored: await createIgnoreMatcher(projectPath),
+				isolated: regex === 'true' // Texto literal é escapado e não tem backtracking catastrófico
+			});
+		} catch (e) {
+			if (e.code !== 'ESEARCHTIMEOUT') throw e;
+			return res.status(422).json({ error: e.message });
+		}
+		const { results, filesSearched, filesMatched, truncated } = found;
+
+		res.json({
+			id,
+			query: q,
+			regex: regex === 'true',
+			glob: glob || null,
+			filesSearched,
+			filesMatched,
+			totalResults: results.length,
+			truncated,
+			results
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/events -> Server-Sent Events com mudanças de arquivos e ciclo de vida do docker
+router.get('/:id/events', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = eventsQuery.safeParse(req.query);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Parâmetros inválidos', details: parsed.error.flatten() });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		// Verificar se o projeto existe
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		// O watcher é compartilhado; padrões extras deste cliente só filtram o que ele recebe
+		const patterns = (parsed.data.ignore || '').split(',').map(p => p.trim()).filter(Boolean);
+		const isIgnored = await createIgnoreMatcher(projectPath, { defaults: false, gitignore: false, patterns });
+
+		res.set({
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			'Connection': 'keep-alive',
+			'X-Accel-Buffering': 'no' // nginx não deve bufferizar o stream
+		});
+		res.flushHeaders();
+
+		let eventId = 0;
+		const send = (event, data) => {
+			res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+		};
+
+		const unsubscribe = subscribeProjectEvents(projectPath, ({ event, data }) => {
+			if (event === 'file' && isIgnored(data.path, data.kind === 'directory')) return;
+			send(event, data);
+			// Projeto deletado ou renomeado: o stream acaba e o cliente reconecta no novo id, se houver
+			if (event === 'closed') {
+				cleanup();
+				res.end();
+			}
+		});
+
+		const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+		function cleanup() {
+			clearInterval(heartbeat);
+			unsubscribe();
+		}
+
+		req.on('close', cleanup);
+
+		send('ready', { id });
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/docker/start -> inicia container do projeto (job)
+router.post('/:id/docker/start', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = dockerStartBody.safeParse(req.body || {});
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
+		const projectPath = resolveProjectPath(id);
+		
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const job = createJob({
+			type: 'docker.start',
+			projectId: id,
+			projectPath,
+			params: parsed.data,
+			run: async ({ log, signal, progress }) => {
+				if (RUNTIME_DRIVER === 'process') return runProcessAction(projectPath, 'start', { log, signal, progress }, parsed.data);
+
+				// O primeiro up constrói a imagem; depois disso só o rebuild atualiza os fontes
+				const meta = await readProjectMeta(projectPath);
+				const build = !meta || !meta.lastBuild ? await prepareContainerBuild(projectPath) : null;
+
+				// Executar docker-compose up
+				publishProjectEvent(projectPath, 'docker', { action: 'start', status: 'starting' });
+				const result = await executeDockerCommand(projectPath, ['up', '-d'], { onData: log, signal });
+				publishProjectEvent(projectPath, 'docker', {
+					action: 'start',
+					status: result.success ? 'started' : 'failed',
+					exitCode: result.exitCode
+				});
+
+				if (!result.success) throw dockerCommandError(result);
+				if (build) await recordContainerBuild(projectPath, build);
+
+				const readiness = await trackReadiness(projectPath, parsed.data, { signal, progress });
+				return { exitCode: result.exitCode, readiness };
+			}
+		});
+
+		await sendJob(req, res, job);
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/docker/stop -> para container do projeto (job)
+router.post('/:id/docker/stop', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+		
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const job = createJob({
+			type: 'docker.stop',
+			projectId: id,
+			projectPath,
+			run: async ({ log, signal }) => {
+				if (RUNTIME_DRIVER === 'process') return runProcessAction(projectPath, 'stop', { log, signal });
+
+				// Executar docker-compose down
+				publishProjectEvent(projectPath, 'docker', { action: 'stop', status: 'stopping' });
+				const result = await executeDockerCommand(projectPath, ['down'], { onData: log, signal });
+				publishProjectEvent(projectPath, 'docker', {
+					action: 'stop',
+					status: result.success ? 'stopped' : 'failed',
+					exitCode: result.exitCode
+				});
+
+				if (!result.success) throw dockerCommandError(result);
+				clearReadiness(projectPath);
+				return { exitCode: result.exitCode };
+			}
+		});
+
+		await sendJob(req, res, job);
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/docker/restart -> reinicia os containers sem rebuild da imagem (job)
+router.post('/:id/docker/restart', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = dockerStartBody.safeParse(req.body || {});
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const job = createJob({
+			type: 'docker.restart',
+			projectId: id,
+			projectPath,
+			params: parsed.data,
+			run: async ({ log, signal, progress }) => {
+				if (RUNTIME_DRIVER === 'process') return runProcessAction(projectPath, 'restart', { log, signal, progress }, parsed.data);
+
+				publishProjectEvent(projectPath, 'docker', { action: 'restart', status: 'restarting' });
+				const result = await executeDockerCommand(projectPath, ['restart'], { onData: log, signal });
+				publishProjectEvent(projectPath, 'docker', {
+					action: 'restart',
+					status: result.success ? 'restarted' : 'failed',
+					exitCode: result.exitCode
+				});
+
+				if (!result.success) throw dockerCommandError(result);
+
+				const readiness = await trackReadiness(projectPath, parsed.data, { signal, progress });
+				return { exitCode: result.exitCode, readiness };
+			}
+		});
+
+		await sendJob(req, res, job);
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/docker/rebuild -> reconstrói a imagem com os fontes atuais e sobe de novo (job)
+router.post('/:id/docker/rebuild', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = dockerRebuildBody.safeParse(req.body || {});
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
+		const { noCache, ...readinessOptions } = parsed.data;
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const job = createJob({
+			type: 'docker.rebuild',
+			projectId: id,
+			projectPath,
+			params: parsed.data,
+			run: async ({ log, signal, progress }) => {
+				if (RUNTIME_DRIVER === 'process') return runProcessAction(projectPath, 'rebuild', { log, signal, progress }, parsed.data);
+
+				const build = await prepareContainerBuild(projectPath);
+				publishProjectEvent(projectPath, 'docker', { action: 'rebuild', status: 'building' });
+
+				// --no-cache é opção do build, não do up: nesse caso o build roda separado
+				let result;
+				if (noCache) {
+					progress(null, 'Construindo imagem sem cache');
+					result = await executeDockerCommand(projectPath, ['build', '--no-cache'], { onData: log, signal });
+					if (result.success) {
+						progress(null, 'Subindo containers');
+						result = await executeDockerCommand(projectPath, ['up', '-d'], { onData: log, signal });
+					}
+				} else {
+					progress(null, 'Construindo imagem e subindo containers');
+					result = await executeDockerCommand(projectPath, ['up', '-d', '--build'], { onData: log, signal });
+				}
+
+				publishProjectEvent(projectPath, 'docker', {
+					action: 'rebuild',
+					status: result.success ? 'started' : 'failed',
+					exitCode: result.exitCode
+				});
+
+				if (!result.success) throw dockerCommandError(result);
+				const lastBuild = await recordContainerBuild(projectPath, build);
+
+				const readiness = await trackReadiness(projectPath, readinessOptions, { signal, progress });
+				return { exitCode: result.exitCode, lastBuild, readiness };
+			}
+		});
+
+		await sendJob(req, res, job);
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/docker/status -> status do container do projeto
+router.get('/:id/docker/status', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+		
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		if (RUNTIME_DRIVER === 'process') {
+			const meta = await readProjectMeta(projectPath);
+			const port = (meta && meta.port) || null;
+			const processStatus = getProcessStatus(projectPath);
+
+			let readiness = null;
+			if (processStatus.state === 'running' && port) {
+				readiness = await checkReadiness(projectPath, port);
+			} else if (processStatus.state === 'stopped') {
+				clearReadiness(projectPath);
+			}
+
+			// Os fontes são servidos direto do disco: não há build para ficar desatualizado
+			return res.json({
+				id,
+				driver: RUNTIME_DRIVER,
+				process: processStatus,
+				containers: [],
+				port,
+				previewUrl: getPreviewUrl(port),
+				readiness,
+				build: null,
+				success: true
+			});
+		}
+
+		// Executar docker-compose ps
+		const result = await executeDockerCommand(projectPath, ['ps', '--format', 'json']);
+		
+		let containers = [];
+		if (result.success && result.output) {
+			try {
+				// Parse do output JSON
+				const lines = result.output.trim().split('\n').filter(line => line.trim());
+				containers = lines.map(line => JSON.parse(line));
+			} catch (e) {
+				// Se falhar o parse, retorna output raw
+			}
+		}
+
+		const meta = await readProjectMeta(projectPath);
+		const port = (meta && meta.port) || null;
+
+		// Container de pé não quer dizer que o ui5 serve já responde
+		let readiness = null;
+		if (containers.length > 0 && port) {
+			readiness = await checkReadiness(projectPath, port);
+		} else if (result.success) {
+			clearReadiness(projectPath);
+		}
+
+		res.json({
+			id,
+			driver: RUNTIME_DRIVER,
+			containers,
+			port,
+			previewUrl: getPreviewUrl(port),
+			readiness,
+			build: await getContainerBuildStatus(projectPath),
+			raw_output: result.output,
+			success: result.success,
+			error: result.error
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/docker/logs -> logs dos containers (follow=true faz streaming via SSE ou texto)
+router.get('/:id/docker/logs', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = dockerLogsQuery.safeParse(req.query);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Parâmetros inválidos', details: parsed.error.flatten() });
+		}
+
+		const { tail, since, follow, timestamps, format } = parsed.data;
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const args = ['logs', '--no-color', '--tail', String(tail)];
+		if (since) args.push('--since', since);
+		if (timestamps === 'true') args.push('--timestamps');
+
+		// Driver 'process': logs guardados em memória pelo supervisor
+		const processLogs = RUNTIME_DRIVER === 'process' ? readProcessLogs(projectPath, { tail, since }) : null;
+		const formatEntry = (entry) => `${formatLogEntry(entry, timestamps === 'true')}\n`;
+
+		if (follow !== 'true' && processLogs) {
+			return res.json({
+				id,
+				success: true,
+				logs: processLogs.map(formatEntry).join(''),
+				error: ''
+			});
+		}
+
+		if (follow !== 'true') {
+			const result = await executeDockerCommand(projectPath, args);
+			return res.json({
+				id,
+				success: result.success,
+				logs: result.output,
+				error: result.error
+			});
+		}
+
+		args.push('--follow');
+		const useSse = format ? format === 'sse' : req.accepts(['text/plain', 'text/event-stream']) === 'text/event-stream';
+
+		res.set({
+			'Content-Type': useSse ? 'text/event-stream' : 'text/plain; charset=utf-8',
+			'Cache-Control': 'no-cache',
+			'Connection': 'keep-alive',
+			'X-Accel-Buffering': 'no'
+		});
+		res.flushHeaders();
+
+		let finished = false;
+		let stopSource = null;
+
+		// SSE: uma mensagem por linha; partes sem \n ficam guardadas até a próxima leitura
+		const pending = { stdout: '', stderr: '' };
+		const sendLines = (stream, chunk) => {
+			if (!useSse) return res.write(chunk);
+
+			const lines = (pending[stream] + chunk.toString()).split('\n');
+			pending[stream] = lines.pop();
+			for (const line of lines) {
+				res.write(`event: log\ndata: ${JSON.stringify({ stream, line })}\n\n`);
+			}
+		};
+
+		const finish = (exitCode, error) => {
+			if (finished) return;
+			finished = true;
+			clearInterval(heartbeat);
+			if (stopSource) stopSource();
+
+			if (useSse) {
+				for (const stream of ['stdout', 'stderr']) {
+					if (pending[stream]) sendLines(stream, '\n');
+				}
+				res.write(`event: end\ndata: ${JSON.stringify({ exitCode, error: error || null })}\n\n`);
+			} else if (error) {
+				res.write(`\n[erro] ${error}\n`);
+			}
+			res.end();
+		};
+
+		const heartbeat = setInterval(() => {
+			if (useSse) res.write(': ping\n\n');
+		}, SSE_HEARTBEAT_INTERVAL);
+
+		if (processLogs) {
+			for (const entry of processLogs) sendLines(entry.stream, formatEntry(entry));
+			stopSource = followProcessLogs(projectPath, {
+				onLine: (entry) => sendLines(entry.stream, formatEntry(entry)),
+				onEnd: (exitCode) => finish(exitCode)
+			});
+		} else {
+			const child = spawnDockerCommand(projectPath, args);
+			child.stdout.on('data', (data) => sendLines('stdout', data));
+			child.stderr.on('data', (data) => sendLines('stderr', data));
+			child.on('close', (code) => finish(code));
+			child.on('error', (err) => finish(-1, err.message));
+			stopSource = () => child.kill('SIGTERM');
+		}
+
+		// Cliente desconectou: o docker-compose logs -f (ou a assinatura dos logs do processo) não pode ficar ativo
+		req.on('close', () => {
+			if (finished) return;
+			finished = true;
+			clearInterval(heartbeat);
+			stopSource();
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/build -> roda o build do projeto (npm run build) e guarda a dist como artefato (job)
+router.post('/:id/build', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		if (!await hasBuildScript(projectPath)) {
+			return res.status(400).json({ error: 'package.json do projeto não tem script build' });
+		}
+
+		const job = createJob({
+			type: 'build',
+			projectId: id,
+			projectPath,
+			run: async ({ log, signal, progress }) => {
+				const build = await runProjectBuild(projectPath, id, { jobId: job.id, onData: log, signal, progress });
+				return { build, artifactUrl: `/projects/${id}/builds/${build.id}/artifact` };
+			}
+		});
+
+		await sendJob(req, res, job);
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/builds -> builds guardados (mais recentes primeiro)
+router.get('/:id/builds', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const builds = await listBuilds(id);
+		res.json(builds.map(build => ({
+			...build,
+			artifactUrl: `/projects/${id}/builds/${build.id}/artifact`
+		})));
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/builds/:buildId/artifact -> download da dist do build em zip
+router.get('/:id/builds/:buildId/artifact', async (req, res, next) => {
+	try {
+		const { id, buildId } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+		if (!isValidBuildId(buildId)) {
+			return res.status(400).json({ error: 'ID de build inválido' });
+		}
+
+		const build = await getBuild(id, buildId);
+		if (!build) {
+			return res.status(404).json({ error: 'Build não encontrado' });
+		}
+
+		// A dist inteira entra no zip (sem as pastas ignoradas do zip de projeto)
+		const archive = createZipStream(build.distPath, { ignore: [] });
+		archive.on('error', (err) => {
+			if (res.headersSent) return res.destroy(err);
+			next(err);
+		});
+
+		res.attachment(`${id}-build-${build.number}.zip`);
+		archive.pipe(res);
+		await archive.finalize();
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/validate -> diagnósticos estruturais (XML, manifest, controllers, routing, i18n)
+router.post('/:id/validate', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const namespace = await detectProjectNamespace(projectPath);
+		const { diagnostics, filesChecked } = await validateProject(projectPath, namespace);
+		const errors = diagnostics.filter(item => item.severity === 'error').length;
+
+		res.json({
+			id,
+			namespace,
+			valid: errors === 0,
+			summary: {
+				filesChecked,
+				errors,
+				warnings: diagnostics.length - errors
+			},
+			diagnostics
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/scaffold/page -> gera view, controller, rota/target no manifest e textos i18n
+router.post('/:id/scaffold/page', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = scaffoldPageBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		const namespace = await detectProjectNamespace(projectPath);
+		if (!namespace) {
+			return res.status(422).json({ error: 'Namespace do projeto não encontrado' });
+		}
+
+		let scaffold;
+		try {
+			// Primeiro plano só para saber os arquivos tocados; o definitivo é refeito dentro do lock
+			const draft = await planPageScaffold(projectPath, namespace, parsed.data);
+			const lockKeys = draft.operations.map(operation => path.join(projectPath, operation.filepath));
+
+			scaffold = await withLocks(lockKeys, async () => {
+				const plan = await planPageScaffold(projectPath, namespace, parsed.data);
+				const prepared = plan.operations.map((operation, index) => ({
+					...operation,
+					index,
+					fullPath: path.join(projectPath, operation.filepath)
+				}));
+				await applyBatch(projectPath, prepared);
+				return plan;
+			});
+		} catch (e) {
+			if (e.code === 'ESCAFFOLD') {
+				return res.status(e.status).json({ error: e.message, ...(e.conflicts ? { conflicts: e.conflicts } : {}) });
+			}
+			if (e.code === 'EBATCH') {
+				return res.status(e.status).json({ error: 'Página não gerada: nenhuma alteração foi feita', message: e.message });
+			}
+			throw e;
+		}
+
+		await recordMutation(projectPath, `Gera a página ${parsed.data.name}`);
+
+		res.status(201).json({
+			id,
+			namespace,
+			name: parsed.data.name,
+			variant: parsed.data.variant,
+			files: scaffold.files,
+			route: scaffold.route,
+			target: scaffold.target,
+			parameters: scaffold.parameters,
+			i18n: scaffold.i18n
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/odata/services -> dataSources OData do manifest com os entity sets do metadata local
+router.get('/:id/odata/services', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		res.json({
+			id,
+			services: await listODataServices(projectPath)
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/odata/services -> upload de $metadata: grava em localService/ e registra dataSource/modelo
+router.post('/:id/odata/services', upload.single('metadata'), async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		if (!req.file) {
+			return res.status(400).json({ error: 'Nenhum arquivo foi enviado (campo "metadata")' });
+		}
+
+		const parsed = odataServiceBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Dados do formulário inválidos', details: parsed.error.flatten() });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		if (isBinaryBuffer(req.file.buffer)) {
+			return res.status(400).json({ error: 'O $metadata deve ser um arquivo XML' });
+		}
+
+		const xml = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+		const { name, uri, model } = parsed.data;
+		let metadata;
+		let service;
+		try {
+			metadata = parseMetadata(xml);
+
+			// O manifest e o destino do metadata são lidos e regravados dentro do lock
+			const draft = await planODataService(projectPath, { name, uri, model, xml, odataVersion: metadata.odataVersion });
+			const lockKeys = draft.operations.map(operation => path.join(projectPath, operation.filepath));
+
+			service = await withLocks(lockKeys, async () => {
+				const plan = await planODataService(projectPath, { name, uri, model, xml, odataVersion: metadata.odataVersion });
+				const prepared = plan.operations.map((operation, index) => ({
+					...operation,
+					index,
+					fullPath: path.join(projectPath, operation.filepath)
+				}));
+				await applyBatch(projectPath, prepared);
+				return plan;
+			});
+		} catch (e) {
+			if (e.code === 'EODATA') {
+				return res.status(e.status).json({
+					error: e.message,
+					...(e.line ? { line: e.line, column: e.column } : {})
+				});
+			}
+			if (e.code === 'EBATCH') {
+				return res.status(e.status).json({ error: 'Serviço não registrado: nenhuma alteração foi feita', message: e.message });
+			}
+			throw e;
+		}
+
+		await recordMutation(projectPath, `Registra o serviço OData ${name}`);
+
+		res.status(service.dataSource.created ? 201 : 200).json({
+			id,
+			dataSource: service.dataSource,
+			model: service.model,
+			namespaces: metadata.namespaces,
+			entitySets: metadata.entitySets
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// Função auxiliar para iniciar um comando docker-compose (quem chama consome stdout/stderr)
+function spawnDockerCommand(projectPath, args, signal) {
+	return spawn('docker-compose', args, {
+		cwd: projectPath,
+		stdio: ['pipe', 'pipe', 'pipe'],
+		signal
+	});
+}
+
+// Função auxiliar: falha do docker-compose vira falha do job (a saída já está no log do job)
+function dockerCommandError(result) {
+	const lastLine = result.error.trim().split('\n').pop();
+	const error = new Error(lastLine || `docker-compose terminou com código ${result.exitCode}`);
+	error.result = { exitCode: result.exitCode };
+	return error;
+}
+
+// Função auxiliar: ações do driver 'process' (npm start supervisionado), com os mesmos
+// eventos e formato de resultado dos jobs do docker-compose
+async function runProcessAction(projectPath, action, { log, signal, progress }, options = {}) {
+	const statuses = {
+		start: ['starting', 'started'],
+		stop: ['stopping', 'stopped'],
+		restart: ['restarting', 'restarted'],
+		rebuild: ['building', 'started']
+	};
+	const [pendingStatus, doneStatus] = statuses[action];
+
+	publishProjectEvent(projectPath, 'docker', { action, status: pendingStatus });
+
+	let processStatus;
+	try {
+		if (action !== 'start') await stopProjectProcess(projectPath);
+
+		if (action === 'rebuild') {
+			// Sem imagem para reconstruir: o equivalente é reinstalar as dependências
+			progress(null, options.noCache ? 'Reinstalando dependências do zero' : 'Atualizando dependências');
+			await installDependencies(projectPath, { clean: options.noCache, onData: log, signal });
+		}
+
+		if (action !== 'stop') {
+			const meta = await readProjectMeta(projectPath);
+			let port = meta && meta.port;
+			if (!port) {
+				port = await allocateProjectPort(projectPath);
+				await updateProjectMeta(projectPath, { port });
+			}
+			// Projetos antigos usam a porta fixa do appreload no ui5.yaml: sem porta própria,
+			// dois projetos rodando como processo disputariam o mesmo live-reload
+			if (!meta || !meta.livereloadPort) {
+				const livereloadPort = await allocateLivereloadPort(projectPath);
+				const changedFiles = await applyProjectPorts(projectPath, { port, livereloadPort });
+				await updateProjectMeta(projectPath, { livereloadPort });
+				if (changedFiles.length) await recordChange(projectPath, 'Porta de live-reload própria do projeto');
+			}
+			processStatus = await startProjectProcess(projectPath, port, { onData: log, signal });
+		}
+	} catch (err) {
+		publishProjectEvent(projectPath, 'docker', { action, status: 'failed', error: err.message });
+		throw err;
+	}
+
+	publishProjectEvent(projectPath, 'docker', { action, status: doneStatus });
+
+	if (action === 'stop') {
+		clearReadiness(projectPath);
+		return { process: getProcessStatus(projectPath) };
+	}
+
+	const readiness = await trackReadiness(projectPath, options, { signal, progress });
+	return { process: processStatus, readiness };
+}
+
+// Função auxiliar: depois do up, acompanha o app até responder na porta do projeto
+// (com waitReady o job espera e falha se o tempo acabar; sem, a sonda roda em segundo plano)
+async function trackReadiness(projectPath, options, { signal, progress }) {
+	const meta = await readProjectMeta(projectPath);
+	if (!meta || !meta.port) return null;
+
+	if (!options.waitReady) {
+		startReadinessProbe(projectPath, meta.port);
+		return { state: 'starting' };
+	}
+
+	progress(null, 'Aguardando o app responder');
+	const readiness = await waitForReady(projectPath, meta.port, {
+		timeout: options.readyTimeout && options.readyTimeout * 1000,
+		signal
+	});
+
+	if (readiness.state !== 'ready') {
+		const error = new Error(readiness.error);
+		error.result = { readiness };
+		throw error;
+	}
+	return readiness;
+}
+
+// Função auxiliar: responde 202 com o job (ou espera o fim com ?wait=true)
+async function sendJob(req, res, job) {
+	if (req.query.wait === 'true') {
+		await job.done;
+		return res.status(job.state === 'succeeded' ? 200 : 500).json(serializeJob(job, { output: true }));
+	}
+
+	res.status(202).location(`/jobs/${job.id}`).json({
+		jobId: job.id,
+		statusUrl: `/jobs/${job.id}`,
+		...serializeJob(job)
+	});
+}
+
+// Função auxiliar para executar comandos docker-compose
+// (options.onData recebe a saída em tempo real; options.signal encerra o processo)
+function executeDockerCommand(projectPath, args, options = {}) {
+	return new Promise((resolve) => {
+		const child = spawnDockerCommand(projectPath, args, options.signal);
+
+		let stdout = '';
+		let stderr = '';
+
+		child.stdout.on('data', (data) => {
+			stdout += data.toString();
+			if (options.onData) options.onData(data);
+		});
+
+		child.stderr.on('data', (data) => {
+			stderr += data.toString();
+			if (options.onData) options.onData(data);
+		});
+
+		child.on('close', (code) => {
+			resolve({
+				success: code === 0,
+				output: stdout,
+				error: stderr,
+				exitCode: code
+			});
+		});
+
+		child.on('error', (err) => {
+			resolve({
+				success: false,
+				output: '',
+				error: err.message,
+				exitCode: -1
+			});
+		});
+	});
+}
+
+// Função auxiliar para verificar se um caminho existe
+async function pathExists(targetPath) {
+	try {
+		await fs.access(targetPath);
+		return true;
+	} catch (e) {
+		return false;
+	}
+}
+
+// Função auxiliar: toda mutação de arquivos atualiza o updatedAt e vira um commit no histórico
+async function recordMutation(projectPath, message) {
+	await touchProjectSafely(projectPath);
+	return recordChange(projectPath, message);
+}
+
+// Função auxiliar: o arquivo já foi gravado, então falha no project.json só gera aviso
+async function touchProjectSafely(projectPath) {
+	try {
+		await touchProject(projectPath);
+	} catch (err) {
+		console.warn(`Aviso: não foi possível atualizar updatedAt em ${projectPath}:`, err.message);
+	}
+}
+
+// Função auxiliar: a pasta .git do histórico não pode ser alterada pela API de arquivos
+function isGitInternalPath(projectPath, fullPath) {
+	return path.relative(projectPath, fullPath).split(path.sep)[0] === '.git';
+}
+
+// Função auxiliar para listar arquivos de uma pasta (caminhos relativos a ela)
+async function listFiles(dirPath, relativePath = '') {
+	const entries = await fs.readdir(dirPath, { withFileTypes: true });
+	const files = [];
+
+	for (const entry of entries) {
+		const relPath = path.join(relativePath, entry.name);
+		if (entry.isDirectory()) {
+			files.push(...await listFiles(path.join(dirPath, entry.name), relPath));
+		} else {
+			files.push(relPath);
+		}
+	}
+
+	return files;
+}
+
+// GET /projects/:id/files -> ler conteúdo de arquivo (raw=true devolve o arquivo em si)
+router.get('/:id/files', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { filepath, encoding = 'utf8', raw, download } = req.query;
+
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		if (!filepath) {
+			return res.status(400).json({ error: 'Parâmetro filepath é obrigatório' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+		const fullFilePath = path.join(projectPath, filepath);
+
+		// Verificar se o projeto existe
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		// Verificar se o arquivo está dentro do projeto (segurança)
+		if (!isInsidePath(projectPath, fullFilePath)) {
+			return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+		}
+
+		// Verificar se o arquivo existe
 		try {
 			await fs.access(fullFilePath);
 		} catch (e) {
-			return res.status(404).json({ error: 'Arquivo não encontrado' });
+			return res.status(404).json({ error: 'Arquivo não encontrado' });
+		}
+
+		// Modo raw: stream do arquivo com o content-type da extensão (imagens, fontes, zips...)
+		if (raw === 'true' || download === 'true') {
+			// ETag = hash do conteúdo (If-Match nas escritas), calculado em stream para não ler o arquivo duas vezes na memória
+			res.set('ETag', await computeFileEtag(fullFilePath));
+			if (download === 'true') res.attachment(path.basename(fullFilePath));
+			return res.sendFile(fullFilePath, { dotfiles: 'allow' }, (err) => {
+				if (err && !res.headersSent) next(err);
+			});
+		}
+
+		// Ler o arquivo; ETag = hash do conteúdo, usado em If-Match nas escritas
+		const buffer = await fs.readFile(fullFilePath);
+		const etag = computeEtag(buffer);
+		res.set('ETag', etag);
+		const content = buffer.toString(encoding);
+		const stats = await fs.stat(fullFilePath);
+
+		res.json({
+			id,
+			filepath,
+			content,
+			encoding,
+			etag,
+			size: stats.size,
+			modified: stats.mtime
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/files -> criar/editar arquivo
+router.post('/:id/files', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { filepath, content, encoding = 'utf8' } = req.body;
+
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		if (!filepath) {
+			return res.status(400).json({ error: 'Campo filepath é obrigatório' });
+		}
+
+		if (content === undefined) {
+			return res.status(400).json({ error: 'Campo content é obrigatório' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+		const fullFilePath = path.join(projectPath, filepath);
+
+		// Verificar se o projeto existe
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		// Verificar se o arquivo está dentro do projeto (segurança)
+		if (!isInsidePath(projectPath, fullFilePath) || isGitInternalPath(projectPath, fullFilePath)) {
+			return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+		}
+
+		// Checagem do If-Match e escrita sem outra operação no mesmo arquivo no meio
+		const result = await withLock(fullFilePath, async () => {
+			const ifMatch = req.get('If-Match');
+			const current = await readFileVersion(fullFilePath);
+			if (ifMatch && !matchesIfMatch(ifMatch, current)) {
+				return { conflict: true, current };
+			}
+
+			// Criar diretórios pai se necessário
+			const dirPath = path.dirname(fullFilePath);
+			await fs.mkdir(dirPath, { recursive: true });
+
+			// Escrever o arquivo
+			await fs.writeFile(fullFilePath, content, encoding);
+			return { existed: current !== null, version: await readFileVersion(fullFilePath) };
+		});
+
+		if (result.conflict) {
+			return res.status(409).json({
+				error: 'Arquivo foi alterado desde a última leitura (If-Match não confere)',
+				filepath,
+				current: result.current
+			});
+		}
+
+		const { existed, version } = result;
+		await recordMutation(projectPath, `${existed ? 'Atualiza' : 'Cria'} ${filepath}`);
+
+		res.set('ETag', version.etag);
+		res.status(existed ? 200 : 201).json({
+			id,
+			filepath,
+			created: !existed,
+			etag: version.etag,
+			size: version.size,
+			modified: version.modified,
+			encoding
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/move -> mover/renomear arquivo ou pasta dentro do projeto
+router.post('/:id/move', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = moveBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
+		const { from, to, overwrite, updateReferences } = parsed.data;
+		const projectPath = resolveProjectPath(id);
+		const fullFromPath = path.join(projectPath, from);
+		const fullToPath = path.join(projectPath, to);
+
+		// Verificar se o projeto existe
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		// Verificar se origem e destino estão dentro do projeto (segurança)
+		if (!isInsidePath(projectPath, fullFromPath) || !isInsidePath(projectPath, fullToPath)
+			|| fullFromPath === projectPath || fullToPath === projectPath
+			|| isGitInternalPath(projectPath, fullFromPath) || isGitInternalPath(projectPath, fullToPath)) {
+			return res.status(400).json({ error: 'Caminho inválido' });
+		}
+
+		// Checagens e rename sem outra operação na origem ou no destino no meio
+		const result = await withLocks([fullFromPath, fullToPath], async () => {
+			let fromStats;
+			try {
+				fromStats = await fs.stat(fullFromPath);
+			} catch (e) {
+				return { status: 404, body: { error: 'Arquivo ou pasta de origem não encontrado' } };
+			}
+
+			const isDirectory = fromStats.isDirectory();
+			if (isDirectory && isInsidePath(fullFromPath, fullToPath)) {
+				return { status: 400, body: { error: 'Não é possível mover uma pasta para dentro dela mesma' } };
+			}
+
+			// Substituir uma pasta que contém a origem apagaria a própria origem
+			if (fullToPath !== fullFromPath && isInsidePath(fullToPath, fullFromPath)) {
+				return { status: 400, body: { error: 'Não é possível mover para uma pasta que contém a origem' } };
+			}
+
+			// If-Match vale para a origem quando ela é um arquivo
+			const ifMatch = req.get('If-Match');
+			if (ifMatch && !isDirectory) {
+				const current = await readFileVersion(fullFromPath);
+				if (!matchesIfMatch(ifMatch, current)) {
+					return {
+						status: 409,
+						body: { error: 'Arquivo foi alterado desde a última leitura (If-Match não confere)', filepath: from, current }
+					};
+				}
+			}
+
+			if (await pathExists(fullToPath)) {
+				if (!overwrite) {
+					return { status: 409, body: { error: 'Destino já existe (use overwrite: true para substituir)' } };
+				}
+				const toStats = await fs.stat(fullToPath);
+				if (toStats.isDirectory() !== isDirectory) {
+					return { status: 409, body: { error: 'Destino existe e é de outro tipo (arquivo x pasta)' } };
+				}
+				if (isDirectory) {
+					await fs.rm(fullToPath, { recursive: true, force: true });
+				}
+			}
+
+			// Pares origem/destino de cada arquivo, para atualizar referências UI5 depois
+			const relFrom = path.relative(projectPath, fullFromPath);
+			const relTo = path.relative(projectPath, fullToPath);
+			const movedFiles = isDirectory
+				? (await listFiles(fullFromPath)).map(file => ({
+					from: path.join(relFrom, file),
+					to: path.join(relTo, file)
+				}))
+				: [{ from: relFrom, to: relTo }];
+
+			// rename é atômico e preserva mtime (mesmo sistema de arquivos)
+			await fs.mkdir(path.dirname(fullToPath), { recursive: true });
+			await fs.rename(fullFromPath, fullToPath);
+			return { isDirectory, movedFiles };
+		});
+
+		if (result.status) {
+			return res.status(result.status).json(result.body);
+		}
+
+		const { isDirectory, movedFiles } = result;
+
+		let references = null;
+		if (updateReferences) {
+			const namespace = await detectProjectNamespace(projectPath);
+			references = namespace
+				? await updateArtifactReferences(projectPath, movedFiles, namespace)
+				: { changedFiles: [], renamed: [], warnings: ['Namespace do projeto não encontrado: referências não foram atualizadas'] };
+		}
+
+		await recordMutation(projectPath, `Move ${from} para ${to}`);
+
+		res.json({
+			id,
+			from,
+			to,
+			type: isDirectory ? 'directory' : 'file',
+			moved: true,
+			references
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/files/upload -> upload multipart de arquivos (binários inclusive)
+router.post('/:id/files/upload', upload.array('files', 50), async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { dir = '', filepath } = req.body;
+		const files = req.files || [];
+
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		if (!files.length) {
+			return res.status(400).json({ error: 'Nenhum arquivo foi enviado (campo "files")' });
+		}
+
+		// filepath define o destino exato e só faz sentido com um único arquivo
+		if (filepath && files.length > 1) {
+			return res.status(400).json({ error: 'Campo filepath só pode ser usado com um único arquivo; use dir' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		// Verificar se o projeto existe
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		// Resolver e validar todos os destinos antes de escrever qualquer arquivo
+		const targets = files.map(file => {
+			const relPath = filepath || path.join(dir, path.basename(file.originalname));
+			return { file, relPath, fullPath: path.join(projectPath, relPath) };
+		});
+
+		for (const { fullPath } of targets) {
+			if (!isInsidePath(projectPath, fullPath) || fullPath === projectPath || isGitInternalPath(projectPath, fullPath)) {
+				return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+			}
+		}
+
+		// If-Match vale para o upload de um único arquivo (filepath)
+		const ifMatch = filepath ? req.get('If-Match') : null;
+
+		const written = [];
+		for (const { file, relPath, fullPath } of targets) {
+			const result = await withLock(fullPath, async () => {
+				const current = await readFileVersion(fullPath);
+				if (ifMatch && !matchesIfMatch(ifMatch, current)) {
+					return { conflict: true, current };
+				}
+
+				await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+				// Buffer gravado como veio: sem conversão de encoding
+				await fs.writeFile(fullPath, file.buffer);
+				return { existed: current !== null, version: await readFileVersion(fullPath) };
+			});
+
+			if (result.conflict) {
+				return res.status(409).json({
+					error: 'Arquivo foi alterado desde a última leitura (If-Match não confere)',
+					filepath: relPath,
+					current: result.current
+				});
+			}
+
+			written.push({
+				filepath: relPath.split(path.sep).join('/'),
+				created: !result.existed,
+				etag: result.version.etag,
+				size: result.version.size,
+				modified: result.version.modified,
+				mimetype: file.mimetype
+			});
+		}
+
+		await recordMutation(projectPath, `Upload de ${written.map(file => file.filepath).join(', ')}`);
+
+		res.status(201).json({
+			id,
+			files: written
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// DELETE /projects/:id/files -> deletar arquivo
+router.delete('/:id/files', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { filepath } = req.query;
+
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		if (!filepath) {
+			return res.status(400).json({ error: 'Parâmetro filepath é obrigatório' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+		const fullFilePath = path.join(projectPath, filepath);
+
+		// Verificar se o projeto existe
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		// Verificar se o arquivo está dentro do projeto (segurança)
+		if (!isInsidePath(projectPath, fullFilePath) || isGitInternalPath(projectPath, fullFilePath)) {
+			return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+		}
+
+		const result = await withLock(fullFilePath, async () => {
+			// Verificar se o arquivo existe
+			const current = await readFileVersion(fullFilePath);
+			if (!current) return { notFound: true };
+
+			const ifMatch = req.get('If-Match');
+			if (ifMatch && !matchesIfMatch(ifMatch, current)) {
+				return { conflict: true, current };
+			}
+
+			// Deletar o arquivo
+			await fs.unlink(fullFilePath);
+			return {};
+		});
+
+		if (result.notFound) {
+			return res.status(404).json({ error: 'Arquivo não encontrado' });
+		}
+
+		if (result.conflict) {
+			return res.status(409).json({
+				error: 'Arquivo foi alterado desde a última leitura (If-Match não confere)',
+				filepath,
+				current: result.current
+			});
+		}
+
+		await recordMutation(projectPath, `Remove ${filepath}`);
+
+		res.json({
+			id,
+			filepath,
+			deleted: true
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// DELETE /projects/:id/folders -> deletar pasta (vazia ou com conteúdo)
+router.delete('/:id/folders', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { folderpath } = req.query;
+
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		if (!folderpath) {
+			return res.status(400).json({ error: 'Parâmetro folderpath é obrigatório' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+		const fullFolderPath = path.join(projectPath, folderpath);
+
+		// Verificar se o projeto existe
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		// Verificar se a pasta está dentro do projeto (segurança)
+		if (!isInsidePath(projectPath, fullFolderPath) || isGitInternalPath(projectPath, fullFolderPath)) {
+			return res.status(400).json({ error: 'Caminho de pasta inválido' });
+		}
+
+		// Não permitir deletar a pasta raiz do projeto
+		if (fullFolderPath === projectPath) {
+			return res.status(400).json({ error: 'Não é possível deletar a pasta raiz do projeto' });
+		}
+
+		// Verificar se a pasta existe
+		let folderStats;
+		try {
+			folderStats = await fs.stat(fullFolderPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Pasta não encontrada' });
 		}
 
-		// Ler o arquivo
-		const content = await fs.readFile(fullFilePath, encoding);
-		const stats = await fs.stat(fullFilePath);
+		// Verificar se é realmente uma pasta
+		if (!folderStats.isDirectory()) {
+			return res.status(400).json({ error: 'O caminho especificado não é uma pasta' });
+		}
+
+		// Deletar a pasta recursivamente (com todo o conteúdo)
+		await fs.rm(fullFolderPath, { recursive: true, force: true });
+		await recordMutation(projectPath, `Remove pasta ${folderpath}`);
 
 		res.json({
 			id,
-			filepath,
-			content,
-			encoding,
-			size: stats.size,
-			modified: stats.mtime
+			folderpath,
+			deleted: true,
+			message: 'Pasta deletada com sucesso (incluindo todo o conteúdo)'
 		});
 	} catch (err) {
 		next(err);
 	}
 });
 
-// POST /projects/:id/files -> criar/editar arquivo
-router.post('/:id/files', async (req, res, next) => {
+// POST /projects/:id/patch -> aplicar diff unificado (tudo ou nada)
+router.post('/:id/patch', async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const { filepath, content, encoding = 'utf8' } = req.body;
-
 		if (!isValidProjectId(id)) {
 			return res.status(400).json({ error: 'ID de projeto inválido' });
 		}
 
-		if (!filepath) {
-			return res.status(400).json({ error: 'Campo filepath é obrigatório' });
-		}
-
-		if (content === undefined) {
-			return res.status(400).json({ error: 'Campo content é obrigatório' });
+		const parsed = patchBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
 		}
 
+		const { patch, fuzz, strip, dryRun } = parsed.data;
 		const projectPath = resolveProjectPath(id);
-		const fullFilePath = path.join(projectPath, filepath);
 
 		// Verificar se o projeto existe
 		try {
@@ -455,57 +2305,131 @@ router.post('/:id/files', async (req, res, next) => {
 			return res.status(404).json({ error: 'Projeto não encontrado' });
 		}
 
-		// Verificar se o arquivo está dentro do projeto (segurança)
-		if (!fullFilePath.startsWith(projectPath)) {
-			return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+		let files;
+		try {
+			files = parseUnifiedDiff(patch, { strip });
+		} catch (e) {
+			if (e.code === 'EPATCH') return res.status(400).json({ error: e.message });
+			throw e;
 		}
 
-		// Criar diretórios pai se necessário
-		const dirPath = path.dirname(fullFilePath);
-		await fs.mkdir(dirPath, { recursive: true });
+		// Todos os caminhos são validados antes de ler qualquer arquivo
+		const targets = [];
+		for (const file of files) {
+			const fullPath = path.join(projectPath, file.file);
+			const fullOldPath = file.operation === 'rename' ? path.join(projectPath, file.oldFile) : null;
 
-		// Verificar se arquivo já existe
-		let existed = false;
-		try {
-			await fs.access(fullFilePath);
-			existed = true;
-		} catch (e) {
-			// Arquivo não existe, será criado
+			for (const target of [fullPath, fullOldPath].filter(Boolean)) {
+				if (!isInsidePath(projectPath, target) || target === projectPath || isGitInternalPath(projectPath, target)) {
+					return res.status(400).json({ error: 'Caminho de arquivo inválido', file: file.file });
+				}
+				if (targets.includes(target)) {
+					return res.status(400).json({ error: 'Arquivo aparece mais de uma vez no patch', file: file.file });
+				}
+				targets.push(target);
+			}
+
+			file.fullPath = fullPath;
+			file.fullOldPath = fullOldPath;
 		}
 
-		// Escrever o arquivo
-		await fs.writeFile(fullFilePath, content, encoding);
-		const stats = await fs.stat(fullFilePath);
+		// Nenhum dos arquivos muda entre a leitura e a gravação
+		const results = await withLocks(targets, async () => {
+			const outcome = [];
+			const writes = [];
 
-		res.status(existed ? 200 : 201).json({
+			for (const file of files) {
+				const result = { file: file.file, operation: file.operation, status: 'applied' };
+				if (file.operation === 'rename') result.oldFile = file.oldFile;
+				outcome.push(result);
+
+				const sourcePath = file.fullOldPath || file.fullPath;
+				let current = '';
+
+				if (file.operation === 'create' || file.operation === 'rename') {
+					if (await pathExists(file.fullPath)) {
+						Object.assign(result, { status: 'conflict', message: 'Arquivo já existe', hunks: [] });
+						continue;
+					}
+				}
+
+				if (file.operation !== 'create') {
+					let buffer;
+					try {
+						buffer = await fs.readFile(sourcePath);
+					} catch (e) {
+						Object.assign(result, { status: 'conflict', message: 'Arquivo não encontrado', hunks: [] });
+						continue;
+					}
+					if (isBinaryBuffer(buffer)) {
+						Object.assign(result, { status: 'conflict', message: 'Arquivo binário não pode receber patch', hunks: [] });
+						continue;
+					}
+					current = buffer.toString('utf8');
+				}
+
+				const applied = applyHunks(current, file.hunks, { fuzz });
+				result.hunks = applied.hunks;
+
+				if (applied.conflicts) {
+					Object.assign(result, { status: 'conflict', message: `${applied.conflicts} hunk(s) não aplicado(s)` });
+					continue;
+				}
+
+				if (file.operation === 'delete') {
+					if (applied.content !== '') {
+						Object.assign(result, { status: 'conflict', message: 'Conteúdo atual difere do removido pelo patch' });
+						continue;
+					}
+					writes.push({ fullPath: file.fullPath, content: null });
+				} else {
+					writes.push({ fullPath: file.fullPath, content: applied.content });
+					if (file.operation === 'rename') writes.push({ fullPath: file.fullOldPath, content: null });
+					result.etag = computeEtag(Buffer.from(applied.content, 'utf8'));
+				}
+			}
+
+			const ok = outcome.every(result => result.status === 'applied');
+			if (ok && !dryRun) await writeFilesAtomically(writes);
+
+			return { ok, files: outcome };
+		});
+
+		const applied = results.ok && !dryRun;
+		if (applied) {
+			const summary = files.length === 1 ? files[0].file : `${files.length} arquivos`;
+			await recordMutation(projectPath, `Aplica patch em ${summary}`);
+		}
+
+		res.status(results.ok ? 200 : 409).json({
 			id,
-			filepath,
-			created: !existed,
-			size: stats.size,
-			modified: stats.mtime,
-			encoding
+			applied,
+			dryRun,
+			...(results.ok ? {} : { error: 'Patch não aplicado: há conflitos (nenhum arquivo foi alterado)' }),
+			files: results.files
 		});
 	} catch (err) {
 		next(err);
 	}
 });
 
-// DELETE /projects/:id/files -> deletar arquivo
-router.delete('/:id/files', async (req, res, next) => {
+// POST /projects/:id/batch -> aplicar várias operações de arquivo (tudo ou nada)
+router.post('/:id/batch', async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const { filepath } = req.query;
-
 		if (!isValidProjectId(id)) {
 			return res.status(400).json({ error: 'ID de projeto inválido' });
 		}
 
-		if (!filepath) {
-			return res.status(400).json({ error: 'Parâmetro filepath é obrigatório' });
+		const parsed = batchBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
 		}
 
+		const { operations, message } = parsed.data;
 		const projectPath = resolveProjectPath(id);
-		const fullFilePath = path.join(projectPath, filepath);
 
 		// Verificar se o projeto existe
 		try {
@@ -514,86 +2438,373 @@ router.delete('/:id/files', async (req, res, next) => {
 			return res.status(404).json({ error: 'Projeto não encontrado' });
 		}
 
-		// Verificar se o arquivo está dentro do projeto (segurança)
-		if (!fullFilePath.startsWith(projectPath)) {
-			return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+		// Todos os caminhos são validados antes de qualquer alteração
+		const isValidTarget = (fullPath) => isInsidePath(projectPath, fullPath)
+			&& fullPath !== projectPath
+			&& !isGitInternalPath(projectPath, fullPath);
+
+		const prepared = [];
+		for (const [index, operation] of operations.entries()) {
+			const fullPath = path.join(projectPath, operation.op === 'move' ? operation.from : operation.filepath);
+			const fullToPath = operation.op === 'move' ? path.join(projectPath, operation.to) : null;
+
+			if (!isValidTarget(fullPath) || (fullToPath && !isValidTarget(fullToPath))) {
+				return res.status(400).json({ error: 'Caminho inválido', index, op: operation.op });
+			}
+
+			prepared.push({ ...operation, index, fullPath, fullToPath });
 		}
 
-		// Verificar se o arquivo existe
+		const lockKeys = prepared.flatMap(operation => [operation.fullPath, operation.fullToPath].filter(Boolean));
+
+		let results;
 		try {
-			await fs.access(fullFilePath);
+			results = await withLocks(lockKeys, () => applyBatch(projectPath, prepared));
 		} catch (e) {
-			return res.status(404).json({ error: 'Arquivo não encontrado' });
+			if (e.code !== 'EBATCH') throw e;
+			return res.status(e.status).json({
+				error: 'Lote não aplicado: nenhuma alteração foi feita',
+				index: e.index,
+				op: operations[e.index].op,
+				message: e.message,
+				...(e.current !== undefined ? { current: e.current } : {})
+			});
 		}
 
-		// Deletar o arquivo
-		await fs.unlink(fullFilePath);
+		await recordMutation(projectPath, message || `Aplica lote de ${operations.length} operação(ões)`);
 
 		res.json({
 			id,
-			filepath,
-			deleted: true
+			applied: true,
+			results
 		});
 	} catch (err) {
 		next(err);
 	}
 });
 
-// DELETE /projects/:id/folders -> deletar pasta (vazia ou com conteúdo)
-router.delete('/:id/folders', async (req, res, next) => {
+// POST /projects/:id/clone -> duplica o projeto com novo id (e opcionalmente novo namespace)
+router.post('/:id/clone', async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const { folderpath } = req.query;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const parsed = cloneProjectBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
+		const { id: newId, namespace } = parsed.data;
+		if (!isValidProjectId(newId)) {
+			return res.status(400).json({
+				error: 'id inválido. Use apenas letras, números, hífen e sublinhado (1–64 chars).'
+			});
+		}
+
+		const projectPath = resolveProjectPath(id);
+		const targetPath = resolveProjectPath(newId);
+
+		try {
+			await fs.access(projectPath);
+		} catch (e) {
+			return res.status(404).json({ error: 'Projeto não encontrado' });
+		}
+
+		if (await pathExists(targetPath)) {
+			return res.status(409).json({ error: `Projeto '${newId}' já existe` });
+		}
+
+		// Descobrir o namespace atual antes de copiar, para falhar sem deixar lixo
+		const currentNamespace = await detectProjectNamespace(projectPath);
+		if (namespace && !currentNamespace) {
+			return res.status(400).json({
+				error: 'Não foi possível identificar o namespace atual do projeto (manifest.json/project.json)'
+			});
+		}
+
+		let port;
+		let livereloadPort;
+		try {
+			port = await allocateProjectPort(targetPath);
+			livereloadPort = await allocateLivereloadPort(targetPath);
+		} catch (e) {
+			await releaseProjectPort(targetPath);
+			if (e.code === 'ENOPORT') return res.status(503).json({ error: e.message });
+			throw e;
+		}
 
+		let changedFiles = [];
+		let projectNamespace;
+		try {
+			await fs.cp(projectPath, targetPath, {
+				recursive: true,
+				errorOnExist: true,
+				// Só as pastas geradas na raiz: webapp/dist e afins são do projeto
+				filter: (src) => !CLONE_SKIP_DIRS.includes(path.relative(projectPath, src).split(path.sep).join('/'))
+			});
+
+			// O clone não pode subir nas mesmas portas do original
+			await applyProjectPorts(targetPath, { port, livereloadPort });
+
+			// Reescrever o namespace com as mesmas regras usadas na criação
+			if (namespace && namespace !== currentNamespace) {
+				changedFiles = await rewriteNamespace(targetPath, currentNamespace, namespace);
+			}
+
+			const meta = (await readProjectMeta(targetPath)) || {};
+			projectNamespace = namespace || currentNamespace || meta.namespace || defaultNamespace(newId);
+			const { createdAt, updatedAt, ...inherited } = meta;
+			const parameters = meta.parameters && {
+				...meta.parameters,
+				namespace: projectNamespace,
+				...(meta.parameters.hostPort !== undefined && { hostPort: port }),
+				...(meta.parameters.livereloadPort !== undefined && { livereloadPort })
+			};
+			await writeProjectMeta(targetPath, createProjectMeta({
+				...inherited,
+				id: newId,
+				namespace: projectNamespace,
+				...(parameters && { parameters }),
+				port,
+				livereloadPort,
+				clonedFrom: id
+			}));
+
+			// O .git é copiado junto: o clone herda o histórico do original
+			await recordChange(targetPath, `Clone de ${id}`, { init: true });
+		} catch (e) {
+			// Clone pela metade não fica no disco nem segura as portas reservadas
+			await fs.rm(targetPath, { recursive: true, force: true });
+			await releaseProjectPort(targetPath);
+			throw e;
+		}
+
+		res.status(201).json({
+			id: newId,
+			clonedFrom: id,
+			path: targetPath,
+			namespace: projectNamespace,
+			port,
+			livereloadPort,
+			changedFiles
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/rename -> troca o id (pasta) do projeto, parando o docker-compose antes
+router.post('/:id/rename', async (req, res, next) => {
+	try {
+		const { id } = req.params;
 		if (!isValidProjectId(id)) {
 			return res.status(400).json({ error: 'ID de projeto inválido' });
 		}
 
-		if (!folderpath) {
-			return res.status(400).json({ error: 'Parâmetro folderpath é obrigatório' });
+		const parsed = renameProjectBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
+		}
+
+		const { id: newId } = parsed.data;
+		if (!isValidProjectId(newId)) {
+			return res.status(400).json({
+				error: 'id inválido. Use apenas letras, números, hífen e sublinhado (1–64 chars).'
+			});
 		}
 
 		const projectPath = resolveProjectPath(id);
-		const fullFolderPath = path.join(projectPath, folderpath);
+		const targetPath = resolveProjectPath(newId);
 
-		// Verificar se o projeto existe
 		try {
 			await fs.access(projectPath);
 		} catch (e) {
 			return res.status(404).json({ error: 'Projeto não encontrado' });
 		}
 
-		// Verificar se a pasta está dentro do projeto (segurança)
-		if (!fullFolderPath.startsWith(projectPath)) {
-			return res.status(400).json({ error: 'Caminho de pasta inválido' });
+		if (await pathExists(targetPath)) {
+			return res.status(409).json({ error: `Projeto '${newId}' já existe` });
 		}
 
-		// Não permitir deletar a pasta raiz do projeto
-		if (fullFolderPath === projectPath) {
-			return res.status(400).json({ error: 'Não é possível deletar a pasta raiz do projeto' });
+		// O processo do driver 'process' roda com a pasta antiga como cwd
+		await stopProjectProcess(projectPath);
+
+		// O nome do projeto docker-compose vem da pasta: derrubar a stack antes de renomear
+		let docker = null;
+		if (await pathExists(path.join(projectPath, 'docker-compose.yml'))) {
+			docker = await executeDockerCommand(projectPath, ['down', '--remove-orphans']);
+
+			// exitCode -1 = docker-compose indisponível, então não há containers rodando
+			if (!docker.success && docker.exitCode !== -1) {
+				return res.status(409).json({
+					error: 'Não foi possível parar os containers Docker do projeto',
+					output: docker.output,
+					details: docker.error
+				});
+			}
+		}
+
+		// Watcher e streams SSE apontam para a pasta antiga
+		await closeProjectEvents(projectPath, { reason: 'renamed', id: newId });
+
+		await fs.rename(projectPath, targetPath);
+		await renameProjectBuilds(id, newId);
+
+		await updateProjectMeta(targetPath, { id: newId, renamedFrom: id, updatedAt: new Date().toISOString() });
+		// A porta continua a mesma, registrada no project.json do novo id
+		await releaseProjectPort(projectPath);
+		clearReadiness(projectPath);
+
+		res.json({
+			id: newId,
+			renamedFrom: id,
+			path: targetPath,
+			dockerStopped: Boolean(docker && docker.success)
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/history -> commits do histórico do projeto (opcional: filepath, limit)
+router.get('/:id/history', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { filepath } = req.query;
+		const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		if (!await hasRepository(projectPath)) {
+			return res.status(404).json({ error: 'Projeto não encontrado ou sem histórico' });
+		}
+
+		let relPath;
+		if (filepath) {
+			const fullFilePath = path.join(projectPath, filepath);
+			if (!isInsidePath(projectPath, fullFilePath)) {
+				return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+			}
+			relPath = path.relative(projectPath, fullFilePath) || '.';
+		}
+
+		const commits = await getHistory(projectPath, { limit, filepath: relPath });
+		res.json({ id, filepath: filepath || null, commits });
+	} catch (err) {
+		next(err);
+	}
+});
+
+// GET /projects/:id/diff?from&to -> diff unificado entre commits (sem "to": contra os arquivos atuais)
+router.get('/:id/diff', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { from, to, filepath } = req.query;
+
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
+		}
+
+		if (!from) {
+			return res.status(400).json({ error: 'Parâmetro from é obrigatório' });
+		}
+
+		if (!isValidRef(from) || (to && !isValidRef(to))) {
+			return res.status(400).json({ error: 'Parâmetros from/to inválidos' });
+		}
+
+		const projectPath = resolveProjectPath(id);
+
+		if (!await hasRepository(projectPath)) {
+			return res.status(404).json({ error: 'Projeto não encontrado ou sem histórico' });
+		}
+
+		let relPath;
+		if (filepath) {
+			const fullFilePath = path.join(projectPath, filepath);
+			if (!isInsidePath(projectPath, fullFilePath)) {
+				return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+			}
+			relPath = path.relative(projectPath, fullFilePath) || '.';
 		}
 
-		// Verificar se a pasta existe
-		let folderStats;
 		try {
-			folderStats = await fs.stat(fullFolderPath);
+			const { diff, files } = await getDiff(projectPath, { from, to, filepath: relPath });
+			res.json({ id, from, to: to || null, files, diff });
 		} catch (e) {
-			return res.status(404).json({ error: 'Pasta não encontrada' });
+			if (e.code === 'EGITREF') {
+				return res.status(404).json({ error: 'Commit não encontrado', details: e.message });
+			}
+			throw e;
+		}
+	} catch (err) {
+		next(err);
+	}
+});
+
+// POST /projects/:id/revert -> restaura o projeto (ou um arquivo/pasta) para um commit
+router.post('/:id/revert', async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		if (!isValidProjectId(id)) {
+			return res.status(400).json({ error: 'ID de projeto inválido' });
 		}
 
-		// Verificar se é realmente uma pasta
-		if (!folderStats.isDirectory()) {
-			return res.status(400).json({ error: 'O caminho especificado não é uma pasta' });
+		const parsed = revertBody.safeParse(req.body);
+		if (!parsed.success) {
+			return res
+				.status(400)
+				.json({ error: 'Payload inválido', details: parsed.error.flatten() });
 		}
 
-		// Deletar a pasta recursivamente (com todo o conteúdo)
-		await fs.rm(fullFolderPath, { recursive: true, force: true });
+		const { commit, filepath } = parsed.data;
+		const projectPath = resolveProjectPath(id);
+
+		if (!await hasRepository(projectPath)) {
+			return res.status(404).json({ error: 'Projeto não encontrado ou sem histórico' });
+		}
+
+		let relPath;
+		if (filepath) {
+			const fullFilePath = path.join(projectPath, filepath);
+			if (!isInsidePath(projectPath, fullFilePath) || fullFilePath === projectPath
+				|| isGitInternalPath(projectPath, fullFilePath)) {
+				return res.status(400).json({ error: 'Caminho de arquivo inválido' });
+			}
+			relPath = path.relative(projectPath, fullFilePath);
+		}
+
+		let newCommit;
+		try {
+			newCommit = await restoreCommit(projectPath, commit, relPath);
+			if (newCommit) await touchProjectSafely(projectPath);
+		} catch (e) {
+			if (e.code === 'EGITREF') {
+				return res.status(404).json({ error: 'Commit não encontrado', details: e.message });
+			}
+			// pathspec que não existe no commit de origem
+			if (/did not match any file/.test(e.message)) {
+				return res.status(404).json({ error: `Caminho '${filepath}' não existe no commit ${commit}` });
+			}
+			throw e;
+		}
 
 		res.json({
 			id,
-			folderpath,
-			deleted: true,
-			message: 'Pasta deletada com sucesso (incluindo todo o conteúdo)'
+			restoredFrom: commit,
+			filepath: filepath || null,
+			commit: newCommit,
+			changed: newCommit !== null
 		});
 	} catch (err) {
 		next(err);
@@ -633,8 +2844,14 @@ router.delete('/:id', async (req, res, next) => {
 			console.warn(`Aviso: Não foi possível parar containers Docker para projeto ${id}:`, dockerErr.message);
 		}
 
+		await stopProjectProcess(projectPath);
+		await closeProjectEvents(projectPath, { reason: 'deleted', id });
+
 		// Deletar o projeto inteiro recursivamente
 		await fs.rm(projectPath, { recursive: true, force: true });
+		await releaseProjectPort(projectPath);
+		clearReadiness(projectPath);
+		await removeProjectBuilds(id);
 
 		res.json({
 			id,
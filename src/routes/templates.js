@@ -0,0 +1,23 @@
+const { Router } = require('express');
+const { listTemplates } = require('../services/templates');
+
+const router = Router();
+
+// GET /templates -> catálogo de templates com parâmetros declarados
+router.get('/', async (_req, res, next) => {
+	try {
+		const templates = await listTemplates();
+
+		res.json(templates.map(({ id, name, description, ui5Version, parameters }) => ({
+			id,
+			name,
+			description,
+			ui5Version: ui5Version || null,
+			parameters
+		})));
+	} catch (err) {
+		next(err);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const fs = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const { constants: bufferConstants } = require('buffer');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const { isInsidePath } = require('../utils/paths');
+
+// Pastas geradas (e o histórico interno) que não entram nos zips de projeto
+const ARCHIVE_SKIP_DIRS = ['node_modules', 'dist', '.git'];
+
+/**
+ * Criar um stream zip com o conteúdo de uma pasta
+ * @param {string} dirPath - Pasta a compactar
+ * @param {Object} options - { ignore: nomes de pastas a ignorar em qualquer nível }
+ * @returns {archiver.Archiver} Stream zip (chame .pipe() e depois .finalize())
+ */
+function createZipStream(dirPath, options = {}) {
+	const ignore = (options.ignore || ARCHIVE_SKIP_DIRS).flatMap(dir => [`${dir}/**`, `**/${dir}/**`]);
+
+	const archive = archiver('zip', { zlib: { level: 9 } });
+	archive.glob('**/*', { cwd: dirPath, ignore, dot: true });
+
+	return archive;
+}
+
+/**
+ * Extrair um zip (buffer) para uma pasta, validando cada entrada contra zip-slip
+ * @param {Buffer} buffer - Conteúdo do zip
+ * @param {string} destDir - Pasta de destino (deve existir)
+ * @param {Object} options - { skip: nomes a ignorar na raiz, maxSize: limite descompactado em bytes }
+ * @returns {Promise<string[]>} Caminhos relativos dos arquivos extraídos
+ */
+async function extractZip(buffer, destDir, options = {}) {
+	const skip = options.skip || [];
+	const maxSize = options.maxSize || Infinity;
+
+	let zip;
+	try {
+		zip = new AdmZip(buffer);
+	} catch (e) {
+		throw archiveError(`Arquivo zip inválido: ${e.message}`);
+	}
+
+	const entries = zip.getEntries();
+	const prefix = commonRootFolder(entries);
+
+	// Validar tudo antes de escrever qualquer arquivo
+	const files = [];
+	let totalSize = 0;
+	for (const entry of entries) {
+		const entryName = entry.entryName.replace(/\\/g, '/');
+		const relPath = entryName.slice(prefix.length);
+		if (!relPath) continue;
+
+		const target = path.resolve(destDir, relPath);
+		if (path.isAbsolute(relPath) || !isInsidePath(destDir, target) || target === destDir) {
+			throw archiveError(`Entrada do zip fora da pasta do projeto: ${entry.entryName}`);
+		}
+
+		const topLevel = relPath.split('/')[0];
+		if (skip.includes(topLevel) || relPath.split('/').some(part => ARCHIVE_SKIP_DIRS.includes(part))) {
+			continue;
+		}
+
+		// Checagem rápida pelo tamanho declarado; o limite vale de fato na descompactação abaixo
+		if (!entry.isDirectory) {
+			totalSize += entry.header.size;
+			if (totalSize > maxSize) {
+				throw archiveError(`Conteúdo descompactado excede o limite de ${maxSize} bytes`);
+			}
+		}
+
+		files.push({ entry, relPath, target });
+	}
+
+	// O header do zip pode mentir o tamanho: conta os bytes realmente descompactados
+	const written = [];
+	let extractedSize = 0;
+	for (const { entry, relPath, target } of files) {
+		if (entry.isDirectory) {
+			await fs.mkdir(target, { recursive: true });
+			continue;
+		}
+
+		const data = readEntryData(entry, maxSize - extractedSize, maxSize);
+		extractedSize += data.length;
+
+		await fs.mkdir(path.dirname(target), { recursive: true });
+		await fs.writeFile(target, data);
+		written.push(relPath);
+	}
+
+	return written;
+}
+
+// Função auxiliar: descompacta uma entrada parando assim que passar do limite restante
+function readEntryData(entry, remaining, maxSize) {
+	const { header } = entry;
+	if (header.encrypted) {
+		throw archiveError(`Entrada do zip criptografada não é suportada: ${entry.entryName}`);
+	}
+
+	const compressed = entry.getCompressedData();
+	let data;
+	if (header.method === 0) { // STORED
+		data = compressed;
+	} else if (header.method === 8) { // DEFLATED
+		try {
+			data = zlib.inflateRawSync(compressed, {
+				maxOutputLength: Math.min(remaining + 1, bufferConstants.MAX_LENGTH)
+			});
+		} catch (e) {
+			if (e.code === 'ERR_BUFFER_TOO_LARGE') data = { length: Infinity };
+			else throw archiveError(`Entrada do zip corrompida: ${entry.entryName}`);
+		}
+	} else {
+		throw archiveError(`Método de compressão não suportado (${header.method}): ${entry.entryName}`);
+	}
+
+	if (data.length > remaining) {
+		throw archiveError(`Conteúdo descompactado excede o limite de ${maxSize} bytes`);
+	}
+	if (data.length !== header.size) {
+		throw archiveError(`Entrada do zip corrompida (tamanho não confere): ${entry.entryName}`);
+	}
+	return data;
+}
+
+// Função auxiliar: zips criados a partir da pasta do projeto costumam ter ela como raiz única
+function commonRootFolder(entries) {
+	const names = entries.map(entry => entry.entryName.replace(/\\/g, '/'));
+	if (!names.length) return '';
+
+	const first = names[0].split('/')[0];
+	const allInside = names.every(name => name.startsWith(`${first}/`));
+
+	// Só remove a raiz se ela for de fato a pasta de um projeto (e não, por exemplo, "webapp/")
+	const markers = ['package.json', 'ui5.yaml', 'project.json'].map(marker => `${first}/${marker}`);
+	const isProjectRoot = names.some(name => markers.includes(name) || name.startsWith(`${first}/webapp/`));
+
+	return allInside && isProjectRoot ? `${first}/` : '';
+}
+
+// Erros de conteúdo do zip viram 400 na rota
+function archiveError(message) {
+	const error = new Error(message);
+	error.code = 'EARCHIVE';
+	return error;
+}
+
+module.exports = {
+	ARCHIVE_SKIP_DIRS,
+	createZipStream,
+	extractZip
+};
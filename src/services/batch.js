@@ -0,0 +1,228 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { BASE_DIR, isInsidePath } = require('../utils/paths');
+const { readFileVersion, matchesIfMatch } = require('./projects');
+
+// Área de trabalho dos lotes (mesmo disco dos projetos, para rename funcionar); não é um projeto
+const STAGING_DIR = path.join(BASE_DIR, '.staging');
+
+// Função auxiliar: erro de uma operação do lote (status HTTP e índice vão para a resposta)
+function batchError(operation, status, message, extra = {}) {
+	const error = new Error(message);
+	error.code = 'EBATCH';
+	error.status = status;
+	error.index = operation.index;
+	Object.assign(error, extra);
+	return error;
+}
+
+/**
+ * Aplicar um lote de operações de arquivo com tudo ou nada.
+ * Os conteúdos são gravados primeiro no staging, os caminhos tocados ganham uma cópia
+ * de segurança e, se qualquer operação falhar, o projeto volta exatamente ao estado anterior.
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object[]} operations - Operações já validadas pela rota:
+ *   { index, op: 'create'|'update'|'delete'|'move', fullPath, fullToPath, content, encoding, overwrite, ifMatch }
+ * @returns {Promise<Object[]>} Resultado de cada operação
+ * @throws {Error} code EBATCH (com status e index) quando uma operação não pode ser aplicada
+ */
+async function applyBatch(projectPath, operations) {
+	const stagingPath = path.join(STAGING_DIR, `${path.basename(projectPath)}-${crypto.randomBytes(6).toString('hex')}`);
+	const targets = topLevelTargets(operations);
+	const backups = new Map(); // caminho tocado -> cópia no staging (null = não existia)
+	const createdDirs = [];
+
+	await fs.mkdir(path.join(stagingPath, 'new'), { recursive: true });
+	await fs.mkdir(path.join(stagingPath, 'backup'), { recursive: true });
+
+	try {
+		// 1) Conteúdos no staging: erro de encoding/disco aparece antes de tocar no projeto
+		for (const operation of operations) {
+			if (operation.content === undefined) continue;
+			operation.stagedPath = path.join(stagingPath, 'new', String(operation.index));
+			await fs.writeFile(operation.stagedPath, operation.content, operation.encoding || 'utf8');
+		}
+
+		// 2) Cópia de segurança de tudo que o lote pode alterar
+		for (const [i, target] of targets.entries()) {
+			const backupPath = path.join(stagingPath, 'backup', String(i));
+			try {
+				await fs.cp(target, backupPath, { recursive: true, preserveTimestamps: true });
+				backups.set(target, backupPath);
+			} catch (e) {
+				// ENOTDIR: algum pai é arquivo, então o caminho também não existe
+				if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') throw e;
+				backups.set(target, null);
+			}
+		}
+
+		// 3) Aplicar em ordem (uma operação pode depender da anterior, ex.: criar e depois mover)
+		const results = [];
+		for (const operation of operations) {
+			try {
+				results.push(await applyOperation(operation, { projectPath, targets, createdDirs }));
+			} catch (e) {
+				// Ex.: criar "a.txt/b" quando a.txt é arquivo
+				if (['ENOTDIR', 'EEXIST', 'EISDIR'].includes(e.code)) {
+					throw batchError(operation, 409, 'Caminho conflita com um arquivo ou pasta existente');
+				}
+				throw e;
+			}
+		}
+		return results;
+	} catch (err) {
+		await rollback(backups, createdDirs);
+		throw err;
+	} finally {
+		await fs.rm(stagingPath, { recursive: true, force: true });
+	}
+}
+
+// Função auxiliar: caminhos tocados pelo lote, sem os que já estão dentro de outro tocado
+function topLevelTargets(operations) {
+	const all = [...new Set(operations.flatMap(operation =>
+		operation.op === 'move' ? [operation.fullPath, operation.fullToPath] : [operation.fullPath]
+	))];
+	return all.filter(target => !all.some(other => other !== target && isInsidePath(other, target)));
+}
+
+async function applyOperation(operation, context) {
+	const { fullPath } = operation;
+	const relPath = path.relative(context.projectPath, fullPath).split(path.sep).join('/');
+	const stats = await statOrNull(fullPath);
+
+	switch (operation.op) {
+		case 'create':
+		case 'update': {
+			if (operation.op === 'create' && stats && !operation.overwrite) {
+				throw batchError(operation, 409, `Arquivo já existe: ${relPath}`);
+			}
+			if (operation.op === 'update' && !stats) {
+				throw batchError(operation, 404, `Arquivo não encontrado: ${relPath}`);
+			}
+			if (stats && stats.isDirectory()) {
+				throw batchError(operation, 409, `O caminho é uma pasta: ${relPath}`);
+			}
+			if (operation.ifMatch) {
+				const current = await readFileVersion(fullPath);
+				if (!matchesIfMatch(operation.ifMatch, current)) {
+					throw batchError(operation, 409, `Arquivo foi alterado desde a última leitura (ifMatch não confere): ${relPath}`, { current });
+				}
+			}
+
+			await ensureParentDir(fullPath, context);
+			await fs.copyFile(operation.stagedPath, fullPath);
+
+			const version = await readFileVersion(fullPath);
+			return {
+				index: operation.index,
+				op: operation.op,
+				filepath: relPath,
+				status: stats ? 'updated' : 'created',
+				etag: version.etag
+			};
+		}
+
+		case 'delete': {
+			if (!stats) {
+				throw batchError(operation, 404, `Arquivo ou pasta não encontrado: ${relPath}`);
+			}
+			await fs.rm(fullPath, { recursive: true, force: true });
+			return {
+				index: operation.index,
+				op: 'delete',
+				filepath: relPath,
+				type: stats.isDirectory() ? 'directory' : 'file',
+				status: 'deleted'
+			};
+		}
+
+		case 'move': {
+			const { fullToPath } = operation;
+			const relTo = path.relative(context.projectPath, fullToPath).split(path.sep).join('/');
+
+			if (!stats) {
+				throw batchError(operation, 404, `Arquivo ou pasta de origem não encontrado: ${relPath}`);
+			}
+			const isDirectory = stats.isDirectory();
+			if (isDirectory && isInsidePath(fullPath, fullToPath)) {
+				throw batchError(operation, 400, `Não é possível mover uma pasta para dentro dela mesma: ${relPath}`);
+			}
+			// Substituir uma pasta que contém a origem apagaria a própria origem
+			if (fullToPath !== fullPath && isInsidePath(fullToPath, fullPath)) {
+				throw batchError(operation, 400, `Não é possível mover para uma pasta que contém a origem: ${relTo}`);
+			}
+
+			const toStats = await statOrNull(fullToPath);
+			if (toStats) {
+				if (!operation.overwrite) {
+					throw batchError(operation, 409, `Destino já existe: ${relTo}`);
+				}
+				if (toStats.isDirectory() !== isDirectory) {
+					throw batchError(operation, 409, `Destino existe e é de outro tipo (arquivo x pasta): ${relTo}`);
+				}
+				if (isDirectory) await fs.rm(fullToPath, { recursive: true, force: true });
+			}
+
+			await ensureParentDir(fullToPath, context);
+			await fs.rename(fullPath, fullToPath);
+			return {
+				index: operation.index,
+				op: 'move',
+				from: relPath,
+				to: relTo,
+				type: isDirectory ? 'directory' : 'file',
+				status: 'moved'
+			};
+		}
+
+		default:
+			throw batchError(operation, 400, `Operação desconhecida: ${operation.op}`);
+	}
+}
+
+// Função auxiliar: cria as pastas pai e guarda a primeira criada para o rollback
+async function ensureParentDir(fullPath, context) {
+	const created = await fs.mkdir(path.dirname(fullPath), { recursive: true });
+	// Pastas dentro de um caminho tocado já são restauradas pela cópia de segurança
+	if (created && !context.targets.some(target => isInsidePath(target, created))) {
+		context.createdDirs.push(created);
+	}
+}
+
+// Função auxiliar: desfaz o lote a partir das cópias de segurança
+async function rollback(backups, createdDirs) {
+	for (const [target, backupPath] of backups) {
+		try {
+			await fs.rm(target, { recursive: true, force: true }).catch(e => {
+				// Pai virou (ou já era) arquivo: não há nada a remover nesse caminho
+				if (e.code !== 'ENOTDIR') throw e;
+			});
+			if (backupPath) {
+				await fs.mkdir(path.dirname(target), { recursive: true });
+				await fs.rename(backupPath, target);
+			}
+		} catch (e) {
+			console.error(`Erro ao restaurar ${target} após falha no lote:`, e.message);
+		}
+	}
+
+	for (const dirPath of createdDirs.reverse()) {
+		await fs.rm(dirPath, { recursive: true, force: true }).catch(() => {});
+	}
+}
+
+async function statOrNull(fullPath) {
+	try {
+		return await fs.stat(fullPath);
+	} catch (e) {
+		if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return null;
+		throw e;
+	}
+}
+
+module.exports = {
+	STAGING_DIR,
+	applyBatch
+};
@@ -0,0 +1,247 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { BASE_DIR } = require('../utils/paths');
+const { hasRepository, getHeadCommit, recordChange } = require('./git');
+const { installDependencies } = require('./runtime');
+
+// Artefatos dos builds, fora da pasta do projeto (a dist é regerada a cada build); não é um projeto
+const BUILDS_DIR = path.join(BASE_DIR, '.builds');
+
+// Builds guardados por projeto (os mais antigos são removidos)
+const BUILDS_KEEP = parseInt(process.env.BUILDS_KEEP) || 10;
+
+// Pasta gerada pelo ui5 build (dest padrão)
+const BUILD_OUTPUT_DIR = 'dist';
+
+const BUILD_META_FILE = 'build.json';
+
+// Ids de build são UUIDs (também evitam path traversal no download)
+const BUILD_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Função auxiliar: erros com code para a rota/job
+function buildError(message, code, extra = {}) {
+	const error = new Error(message);
+	error.code = code;
+	Object.assign(error, extra);
+	return error;
+}
+
+/**
+ * Verificar se o projeto tem o script build no package.json
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<boolean>} true se houver script build
+ */
+async function hasBuildScript(projectPath) {
+	try {
+		const pkg = JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8'));
+		return Boolean(pkg.scripts && pkg.scripts.build);
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Rodar o build do projeto (npm run build) e guardar a dist como um artefato versionado
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} projectId - Id do projeto
+ * @param {Object} options - { jobId, onData, signal, progress }
+ * @returns {Promise<Object>} Build registrado (build.json)
+ * @throws {Error} code EBUILD se o build falhar ou não gerar a dist
+ */
+async function runProjectBuild(projectPath, projectId, options = {}) {
+	const progress = options.progress || (() => {});
+
+	// O build registra de qual estado do projeto saiu
+	await recordChange(projectPath, 'Estado do projeto no build');
+	const commit = await hasRepository(projectPath) ? await getHeadCommit(projectPath) : null;
+
+	try {
+		await fs.access(path.join(projectPath, 'node_modules'));
+	} catch (e) {
+		progress(null, 'Instalando dependências');
+		await installDependencies(projectPath, { onData: options.onData, signal: options.signal });
+	}
+
+	progress(null, 'Executando npm run build');
+	const exitCode = await runNpmBuild(projectPath, options);
+	if (exitCode !== 0) {
+		throw buildError(`npm run build terminou com código ${exitCode}`, 'EBUILD', { result: { exitCode } });
+	}
+
+	const distPath = path.join(projectPath, BUILD_OUTPUT_DIR);
+	try {
+		await fs.access(distPath);
+	} catch (e) {
+		throw buildError(`O build não gerou a pasta ${BUILD_OUTPUT_DIR}`, 'EBUILD', { result: { exitCode } });
+	}
+
+	progress(null, 'Guardando artefato');
+	const builds = await listBuilds(projectId);
+	const build = {
+		id: crypto.randomUUID(),
+		number: builds.length ? builds[0].number + 1 : 1,
+		projectId,
+		jobId: options.jobId || null,
+		commit,
+		createdAt: new Date().toISOString(),
+		...await measureDir(distPath)
+	};
+
+	const buildPath = path.join(BUILDS_DIR, projectId, build.id);
+	await fs.mkdir(buildPath, { recursive: true });
+	try {
+		await fs.cp(distPath, path.join(buildPath, BUILD_OUTPUT_DIR), { recursive: true });
+		await fs.writeFile(path.join(buildPath, BUILD_META_FILE), JSON.stringify(build, null, 2), 'utf8');
+	} catch (err) {
+		await fs.rm(buildPath, { recursive: true, force: true });
+		throw err;
+	}
+
+	await pruneBuilds(projectId);
+	return build;
+}
+
+// Função auxiliar: npm run build com a saída repassada ao job
+function runNpmBuild(projectPath, options) {
+	return new Promise((resolve) => {
+		const child = spawn('npm', ['run', 'build'], {
+			cwd: projectPath,
+			stdio: ['ignore', 'pipe', 'pipe'],
+			signal: options.signal
+		});
+
+		const onData = (data) => {
+			if (options.onData) options.onData(data);
+		};
+		child.stdout.on('data', onData);
+		child.stderr.on('data', onData);
+
+		child.on('close', resolve);
+		child.on('error', (err) => {
+			onData(`${err.message}\n`);
+			resolve(-1);
+		});
+	});
+}
+
+// Função auxiliar: quantidade de arquivos e tamanho total da dist
+async function measureDir(dirPath) {
+	const totals = { fileCount: 0, size: 0 };
+
+	for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+		const fullPath = path.join(dirPath, entry.name);
+		if (entry.isDirectory()) {
+			const sub = await measureDir(fullPath);
+			totals.fileCount += sub.fileCount;
+			totals.size += sub.size;
+		} else if (entry.isFile()) {
+			totals.fileCount++;
+			totals.size += (await fs.stat(fullPath)).size;
+		}
+	}
+
+	return totals;
+}
+
+/**
+ * Listar os builds guardados do projeto (mais recentes primeiro)
+ * @param {string} projectId - Id do projeto
+ * @returns {Promise<Object[]>} Builds
+ */
+async function listBuilds(projectId) {
+	let entries = [];
+	try {
+		entries = await fs.readdir(path.join(BUILDS_DIR, projectId), { withFileTypes: true });
+	} catch (e) {
+		// Nenhum build ainda
+	}
+
+	const builds = [];
+	for (const entry of entries) {
+		if (!entry.isDirectory()) continue;
+		const build = await readBuildMeta(projectId, entry.name);
+		if (build) builds.push(build);
+	}
+
+	return builds.sort((a, b) => b.number - a.number);
+}
+
+async function readBuildMeta(projectId, buildId) {
+	try {
+		const content = await fs.readFile(path.join(BUILDS_DIR, projectId, buildId, BUILD_META_FILE), 'utf8');
+		return JSON.parse(content);
+	} catch (e) {
+		return null; // Build incompleto ou removido
+	}
+}
+
+/**
+ * Validar um id de build
+ * @param {string} buildId - Id do build
+ * @returns {boolean} true se o formato for válido
+ */
+function isValidBuildId(buildId) {
+	return BUILD_ID_REGEX.test(buildId);
+}
+
+/**
+ * Buscar um build do projeto
+ * @param {string} projectId - Id do projeto
+ * @param {string} buildId - Id do build
+ * @returns {Promise<Object|null>} Build com distPath (pasta do artefato) ou null se não existir
+ */
+async function getBuild(projectId, buildId) {
+	const build = await readBuildMeta(projectId, buildId);
+	if (!build) return null;
+	return { ...build, distPath: path.join(BUILDS_DIR, projectId, buildId, BUILD_OUTPUT_DIR) };
+}
+
+// Função auxiliar: mantém só os BUILDS_KEEP builds mais recentes
+async function pruneBuilds(projectId) {
+	const builds = await listBuilds(projectId);
+	for (const build of builds.slice(BUILDS_KEEP)) {
+		await fs.rm(path.join(BUILDS_DIR, projectId, build.id), { recursive: true, force: true });
+	}
+}
+
+/**
+ * Mover os builds para o novo id do projeto (rename)
+ * @param {string} projectId - Id atual
+ * @param {string} newId - Novo id
+ * @returns {Promise<void>}
+ */
+async function renameProjectBuilds(projectId, newId) {
+	try {
+		await fs.rename(path.join(BUILDS_DIR, projectId), path.join(BUILDS_DIR, newId));
+	} catch (e) {
+		if (e.code !== 'ENOENT') throw e;
+		return;
+	}
+
+	for (const build of await listBuilds(newId)) {
+		const metaPath = path.join(BUILDS_DIR, newId, build.id, BUILD_META_FILE);
+		await fs.writeFile(metaPath, JSON.stringify({ ...build, projectId: newId }, null, 2), 'utf8');
+	}
+}
+
+/**
+ * Remover todos os builds do projeto (delete)
+ * @param {string} projectId - Id do projeto
+ * @returns {Promise<void>}
+ */
+async function removeProjectBuilds(projectId) {
+	await fs.rm(path.join(BUILDS_DIR, projectId), { recursive: true, force: true });
+}
+
+module.exports = {
+	BUILDS_DIR,
+	hasBuildScript,
+	runProjectBuild,
+	listBuilds,
+	isValidBuildId,
+	getBuild,
+	renameProjectBuilds,
+	removeProjectBuilds
+};
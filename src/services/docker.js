@@ -0,0 +1,75 @@
+const { readProjectMeta, updateProjectMeta, PROJECT_META_FILE } = require('./projects');
+const { hasRepository, getHeadCommit, getChangedFiles, recordChange } = require('./git');
+const { createIgnoreMatcher, listProjectEntries } = require('./tree');
+
+// Quantos arquivos alterados são listados no status (o total vem em changedCount)
+const MAX_CHANGED_FILES = 50;
+
+/**
+ * Fotografar o estado do projeto antes de um build do container.
+ * A imagem copia os fontes no build, então mudanças posteriores deixam o container desatualizado;
+ * o que ainda não está no histórico (editado direto no disco) é commitado para entrar na comparação.
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<Object>} { builtAt, commit } para gravar com recordContainerBuild
+ */
+async function prepareContainerBuild(projectPath) {
+	await recordChange(projectPath, 'Estado do projeto no build do container');
+	const commit = await hasRepository(projectPath) ? await getHeadCommit(projectPath) : null;
+	return { builtAt: new Date().toISOString(), commit };
+}
+
+/**
+ * Registrar no project.json o build concluído
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} lastBuild - Retorno de prepareContainerBuild
+ * @returns {Promise<Object>} lastBuild
+ */
+async function recordContainerBuild(projectPath, lastBuild) {
+	await updateProjectMeta(projectPath, { lastBuild });
+	return lastBuild;
+}
+
+/**
+ * Verificar se há arquivos alterados desde o último build do container
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<Object>} { lastBuild, stale (null = sem build registrado), changedFiles, changedCount }
+ */
+async function getContainerBuildStatus(projectPath) {
+	const meta = await readProjectMeta(projectPath);
+	const lastBuild = (meta && meta.lastBuild) || null;
+	if (!lastBuild) {
+		return { lastBuild: null, stale: null, changedFiles: [], changedCount: 0 };
+	}
+
+	let changedFiles = null;
+	if (lastBuild.commit && await hasRepository(projectPath)) {
+		try {
+			changedFiles = await getChangedFiles(projectPath, lastBuild.commit);
+		} catch (e) {
+			// Commit do build não existe mais: cai na comparação por data
+		}
+	}
+
+	// Sem histórico: arquivos modificados depois do build (não detecta exclusões)
+	if (!changedFiles) {
+		const ignored = await createIgnoreMatcher(projectPath);
+		const builtAt = new Date(lastBuild.builtAt);
+		const { entries } = await listProjectEntries(projectPath, { ignored, format: 'flat' });
+		changedFiles = entries
+			.filter(entry => entry.type === 'file' && entry.path !== PROJECT_META_FILE && entry.modified > builtAt)
+			.map(entry => entry.path);
+	}
+
+	return {
+		lastBuild,
+		stale: changedFiles.length > 0,
+		changedFiles: changedFiles.slice(0, MAX_CHANGED_FILES),
+		changedCount: changedFiles.length
+	};
+}
+
+module.exports = {
+	prepareContainerBuild,
+	recordContainerBuild,
+	getContainerBuildStatus
+};
@@ -0,0 +1,151 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const chokidar = require('chokidar');
+const { createIgnoreMatcher } = require('./tree');
+
+// Janela de agrupamento dos eventos de arquivo (salvar um arquivo gera vários eventos do SO)
+const FILE_EVENTS_DEBOUNCE = parseInt(process.env.FILE_EVENTS_DEBOUNCE) || 200; // ms
+
+// Um canal por projeto: o watcher é compartilhado por todos os clientes conectados
+const channels = new Map();
+
+/**
+ * Assinar os eventos de um projeto (arquivos e docker).
+ * O watcher de arquivos é criado no primeiro assinante e fechado quando o último sai.
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Function} listener - ({ event, data }) => void
+ * @returns {Function} Função para cancelar a assinatura
+ */
+function subscribeProjectEvents(projectPath, listener) {
+	let channel = channels.get(projectPath);
+	if (!channel) {
+		channel = { emitter: new EventEmitter(), watcher: null };
+		channel.emitter.setMaxListeners(0);
+		channel.watcher = watchProjectFiles(projectPath, (change) => {
+			channel.emitter.emit('event', { event: 'file', data: change });
+		});
+		channels.set(projectPath, channel);
+	}
+
+	channel.emitter.on('event', listener);
+
+	return () => {
+		channel.emitter.off('event', listener);
+		if (channel.emitter.listenerCount('event') === 0 && channels.get(projectPath) === channel) {
+			channels.delete(projectPath);
+			channel.watcher.then(watcher => watcher && watcher.close()).catch(() => {});
+		}
+	};
+}
+
+/**
+ * Publicar um evento para quem estiver assinando o projeto (sem assinantes, é descartado)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} event - Tipo do evento (ex.: 'docker')
+ * @param {Object} data - Dados do evento
+ */
+function publishProjectEvent(projectPath, event, data) {
+	const channel = channels.get(projectPath);
+	if (channel) {
+		channel.emitter.emit('event', { event, data: { ...data, timestamp: new Date().toISOString() } });
+	}
+}
+
+/**
+ * Encerrar o canal de um projeto (ao deletar ou renomear): avisa os assinantes com um
+ * evento 'closed' para fecharem seus streams e fecha o watcher da pasta antiga
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} data - Dados do evento (ex.: { reason: 'renamed', id: novoId })
+ * @returns {Promise<void>}
+ */
+async function closeProjectEvents(projectPath, data) {
+	const channel = channels.get(projectPath);
+	if (!channel) return;
+
+	channels.delete(projectPath);
+	channel.emitter.emit('event', { event: 'closed', data: { ...data, timestamp: new Date().toISOString() } });
+	channel.emitter.removeAllListeners('event');
+
+	const watcher = await channel.watcher.catch(() => null);
+	if (watcher) await watcher.close();
+}
+
+// Função auxiliar: watcher com as mesmas regras de ignore da árvore, agrupando eventos por caminho
+async function watchProjectFiles(projectPath, onChange) {
+	const isIgnored = await createIgnoreMatcher(projectPath);
+	const pending = new Map(); // relPath -> { first, last, kind }
+	let timer = null;
+
+	const watcher = chokidar.watch(projectPath, {
+		ignoreInitial: true,
+		ignored: (fullPath, stats) => {
+			const relPath = path.relative(projectPath, fullPath).split(path.sep).join('/');
+			if (!relPath) return false;
+			// Sem stats o chokidar ainda não sabe se é pasta: testa as duas formas
+			return stats
+				? isIgnored(relPath, stats.isDirectory())
+				: isIgnored(relPath, false) || isIgnored(relPath, true);
+		}
+	});
+
+	const kinds = {
+		add: ['created', 'file'],
+		change: ['changed', 'file'],
+		unlink: ['deleted', 'file'],
+		addDir: ['created', 'directory'],
+		unlinkDir: ['deleted', 'directory']
+	};
+
+	watcher.on('all', (eventName, fullPath) => {
+		if (!kinds[eventName]) return;
+		const [type, kind] = kinds[eventName];
+		const relPath = path.relative(projectPath, fullPath).split(path.sep).join('/');
+		if (!relPath) return;
+
+		const entry = pending.get(relPath);
+		if (entry) {
+			entry.last = type;
+			entry.kind = kind;
+		} else {
+			pending.set(relPath, { first: type, last: type, kind });
+		}
+
+		clearTimeout(timer);
+		timer = setTimeout(flush, FILE_EVENTS_DEBOUNCE);
+	});
+
+	watcher.on('error', (err) => {
+		console.warn(`Aviso: erro no watcher de ${projectPath}:`, err.message);
+	});
+
+	function flush() {
+		const changes = [...pending.entries()];
+		pending.clear();
+
+		for (const [relPath, { first, last, kind }] of changes) {
+			const type = collapseEvents(first, last);
+			if (type) onChange({ type, kind, path: relPath, timestamp: new Date().toISOString() });
+		}
+	}
+
+	const close = watcher.close.bind(watcher);
+	watcher.close = () => {
+		clearTimeout(timer);
+		return close();
+	};
+
+	return watcher;
+}
+
+// Função auxiliar: reduz a sequência de eventos de um caminho na janela a um só
+function collapseEvents(first, last) {
+	if (first === 'created') return last === 'deleted' ? null : 'created'; // Temporário criado e removido
+	if (first === 'deleted' && last === 'created') return 'changed'; // Editores que salvam com rename
+	return last;
+}
+
+module.exports = {
+	subscribeProjectEvents,
+	publishProjectEvent,
+	closeProjectEvents
+};
@@ -0,0 +1,292 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { spawn } = require('child_process');
+const { withLock } = require('../utils/lock');
+
+// Autor dos commits automáticos
+const DEFAULT_AUTHOR = {
+	name: process.env.GIT_AUTHOR_NAME || 'SAP Builder',
+	email: process.env.GIT_AUTHOR_EMAIL || 'builder@localhost'
+};
+
+// Fica fora do histórico: metadados do serviço e pastas geradas
+const EXCLUDED_FROM_HISTORY = ['project.json', 'node_modules/', 'dist/'];
+
+// Refs aceitos em from/to/commit (hash, HEAD~2, nomes de branch); nunca começam com "-"
+const REF_REGEX = /^[a-zA-Z0-9_][\w.\/^~-]{0,99}$/;
+
+/**
+ * Executar um comando git na pasta do projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string[]} args - Argumentos do git
+ * @param {Object} env - Variáveis de ambiente adicionais
+ * @returns {Promise<{success: boolean, output: string, error: string, exitCode: number}>} Resultado
+ */
+function runGit(projectPath, args, env = {}) {
+	return new Promise((resolve) => {
+		const child = spawn('git', args, {
+			cwd: projectPath,
+			stdio: ['ignore', 'pipe', 'pipe'],
+			env: { ...process.env, ...env }
+		});
+
+		let stdout = '';
+		let stderr = '';
+
+		child.stdout.on('data', (data) => {
+			stdout += data.toString();
+		});
+
+		child.stderr.on('data', (data) => {
+			stderr += data.toString();
+		});
+
+		child.on('close', (code) => {
+			resolve({
+				success: code === 0,
+				output: stdout,
+				error: stderr,
+				exitCode: code
+			});
+		});
+
+		child.on('error', (err) => {
+			resolve({
+				success: false,
+				output: '',
+				error: err.message,
+				exitCode: -1
+			});
+		});
+	});
+}
+
+// Função auxiliar: lança erro com a saída do git quando o comando falha
+async function git(projectPath, args, env) {
+	const result = await runGit(projectPath, args, env);
+	if (!result.success) {
+		const error = new Error(`git ${args[0]} falhou: ${result.error.trim() || result.output.trim()}`);
+		// Ref inexistente vira 404 na rota
+		if (/unknown revision|bad revision|bad object|invalid object|Needed a single revision/i.test(result.error)) {
+			error.code = 'EGITREF';
+		}
+		throw error;
+	}
+	return result.output;
+}
+
+function authorEnv(author = {}) {
+	const name = author.name || DEFAULT_AUTHOR.name;
+	const email = author.email || DEFAULT_AUTHOR.email;
+	return {
+		GIT_AUTHOR_NAME: name,
+		GIT_AUTHOR_EMAIL: email,
+		GIT_COMMITTER_NAME: name,
+		GIT_COMMITTER_EMAIL: email
+	};
+}
+
+/**
+ * Verificar se o projeto tem repositório git
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<boolean>} true se existir .git
+ */
+async function hasRepository(projectPath) {
+	try {
+		await fs.access(path.join(projectPath, '.git'));
+		return true;
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Inicializar o repositório git do projeto e registrar o estado atual
+ * (idempotente: em um repositório existente apenas commita o que mudou)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} message - Mensagem do commit inicial
+ * @returns {Promise<string|null>} Hash do commit criado ou null se não havia mudanças
+ */
+async function initRepository(projectPath, message = 'Criação do projeto') {
+	return withLock(`git:${projectPath}`, async () => {
+		if (!await hasRepository(projectPath)) {
+			await git(projectPath, ['init', '--quiet']);
+		}
+
+		const excludePath = path.join(projectPath, '.git', 'info', 'exclude');
+		await fs.mkdir(path.dirname(excludePath), { recursive: true });
+		await fs.writeFile(excludePath, `${EXCLUDED_FROM_HISTORY.join('\n')}\n`);
+
+		return commitAll(projectPath, message);
+	});
+}
+
+/**
+ * Commitar todas as mudanças do projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} message - Mensagem do commit
+ * @param {Object} author - { name, email } (opcional)
+ * @returns {Promise<string|null>} Hash do commit ou null se não havia mudanças
+ */
+async function commitChanges(projectPath, message, author) {
+	return withLock(`git:${projectPath}`, () => commitAll(projectPath, message, author));
+}
+
+// Função auxiliar (chamada já dentro do lock do projeto)
+async function commitAll(projectPath, message, author) {
+	await git(projectPath, ['add', '--all']);
+
+	const status = await git(projectPath, ['status', '--porcelain']);
+	if (!status.trim()) return null;
+
+	await git(projectPath, ['commit', '--quiet', '--no-verify', '-m', message], authorEnv(author));
+	return (await git(projectPath, ['rev-parse', 'HEAD'])).trim();
+}
+
+/**
+ * Registrar no histórico uma mutação feita pela API de arquivos.
+ * Nunca falha a requisição: sem git (ou sem repositório) apenas loga o aviso.
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} message - Mensagem do commit
+ * @param {Object} options - { init: cria o repositório se ainda não existir }
+ * @returns {Promise<string|null>} Hash do commit ou null
+ */
+async function recordChange(projectPath, message, options = {}) {
+	try {
+		if (!await hasRepository(projectPath)) {
+			return options.init ? await initRepository(projectPath, message) : null;
+		}
+		return await commitChanges(projectPath, message);
+	} catch (err) {
+		console.warn(`Aviso: não foi possível registrar histórico em ${projectPath}:`, err.message);
+		return null;
+	}
+}
+
+/**
+ * Listar commits do projeto (mais recentes primeiro)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} options - { limit, filepath }
+ * @returns {Promise<Object[]>} Commits com hash, autor, data e mensagem
+ */
+async function getHistory(projectPath, options = {}) {
+	const args = ['log', `--max-count=${options.limit || 50}`, '--format=%H%x1f%h%x1f%an%x1f%ae%x1f%aI%x1f%s%x1e'];
+	if (options.filepath) args.push('--', options.filepath);
+
+	const result = await runGit(projectPath, args);
+	if (!result.success) {
+		// Repositório sem nenhum commit ainda
+		if (/does not have any commits/.test(result.error)) return [];
+		throw new Error(`git log falhou: ${result.error.trim()}`);
+	}
+
+	return result.output
+		.split('\x1e')
+		.map(record => record.trim())
+		.filter(Boolean)
+		.map(record => {
+			const [hash, shortHash, author, email, date, message] = record.split('\x1f');
+			return { hash, shortHash, author, email, date, message };
+		});
+}
+
+/**
+ * Gerar o diff entre dois commits (ou entre um commit e o estado atual)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} options - { from, to, filepath } (to omitido = arquivos atuais)
+ * @returns {Promise<{diff: string, files: Object[]}>} Diff unificado e estatísticas por arquivo
+ */
+async function getDiff(projectPath, options) {
+	const range = [options.from, options.to].filter(Boolean);
+	const pathspec = options.filepath ? ['--', options.filepath] : [];
+
+	const diff = await git(projectPath, ['diff', '--no-color', ...range, ...pathspec]);
+	const numstat = await git(projectPath, ['diff', '--numstat', ...range, ...pathspec]);
+
+	const files = numstat
+		.split('\n')
+		.filter(Boolean)
+		.map(line => {
+			const [added, removed, file] = line.split('\t');
+			// Binários aparecem como "-"
+			return {
+				file,
+				added: added === '-' ? null : Number(added),
+				removed: removed === '-' ? null : Number(removed)
+			};
+		});
+
+	return { diff, files };
+}
+
+/**
+ * Restaurar o projeto (ou um caminho) para o estado de um commit, criando um novo commit.
+ * O histórico nunca é reescrito: o próprio revert pode ser revertido.
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} commit - Commit de origem
+ * @param {string} filepath - Caminho a restaurar (opcional, padrão: projeto inteiro)
+ * @returns {Promise<string|null>} Hash do novo commit ou null se nada mudou
+ */
+async function restoreCommit(projectPath, commit, filepath) {
+	return withLock(`git:${projectPath}`, async () => {
+		const verify = await runGit(projectPath, ['rev-parse', '--verify', '--quiet', `${commit}^{commit}`]);
+		if (!verify.success) {
+			const error = new Error(`Commit não encontrado: ${commit}`);
+			error.code = 'EGITREF';
+			throw error;
+		}
+		const sha = verify.output.trim();
+
+		// restore remove também os arquivos que não existiam no commit de origem
+		await git(projectPath, ['restore', `--source=${sha}`, '--staged', '--worktree', '--', filepath || '.']);
+
+		const target = filepath || 'projeto';
+		return commitAll(projectPath, `Reverte ${target} para ${sha.slice(0, 7)}`);
+	});
+}
+
+/**
+ * Obter o hash do commit atual (HEAD)
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<string|null>} Hash ou null se o repositório não tiver commits
+ */
+async function getHeadCommit(projectPath) {
+	const result = await runGit(projectPath, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+	return result.success ? result.output.trim() : null;
+}
+
+/**
+ * Listar arquivos alterados desde um commit, incluindo mudanças não commitadas e arquivos novos
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} commit - Commit de referência
+ * @returns {Promise<string[]>} Caminhos relativos, ordenados
+ */
+async function getChangedFiles(projectPath, commit) {
+	const changed = await git(projectPath, ['diff', '--name-only', commit, '--']);
+	const untracked = await git(projectPath, ['ls-files', '--others', '--exclude-standard']);
+
+	return [...new Set([...changed.split('\n'), ...untracked.split('\n')].filter(Boolean))].sort();
+}
+
+/**
+ * Validar um ref informado pelo cliente (evita injeção de opções no git)
+ * @param {string} ref - Ref a validar
+ * @returns {boolean} true se o ref for aceitável
+ */
+function isValidRef(ref) {
+	return typeof ref === 'string' && REF_REGEX.test(ref) && !ref.includes('..');
+}
+
+module.exports = {
+	runGit,
+	hasRepository,
+	initRepository,
+	commitChanges,
+	recordChange,
+	getHistory,
+	getDiff,
+	restoreCommit,
+	getHeadCommit,
+	getChangedFiles,
+	isValidRef
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { withLock } = require('../utils/lock');
+const { publishProjectEvent } = require('./events');
+
+// Saída guardada por job (o início é descartado quando passa do limite)
+const JOB_OUTPUT_LIMIT = parseInt(process.env.JOB_OUTPUT_LIMIT) || 1024 * 1024; // 1MB default
+
+// Tempo que um job concluído continua consultável em GET /jobs/:id
+const JOB_RETENTION = parseInt(process.env.JOB_RETENTION) || 60 * 60 * 1000; // 1h default
+
+const FINAL_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// Jobs em memória: reiniciar o serviço descarta a fila e o histórico
+const jobs = new Map();
+
+/**
+ * Criar um job. Jobs do mesmo projeto rodam um de cada vez, na ordem de criação.
+ * @param {Object} options - { type, projectId, projectPath, params, run }
+ *   run({ signal, log, progress }) => Promise<resultado>; lançar erro marca o job como failed
+ *   (error.result, se existir, vira o result do job)
+ * @returns {Object} Job criado (state 'queued')
+ */
+function createJob(options) {
+	const job = {
+		id: crypto.randomUUID(),
+		type: options.type,
+		projectId: options.projectId,
+		projectPath: options.projectPath || null,
+		params: options.params || {},
+		state: 'queued',
+		progress: null,
+		output: '',
+		outputTruncated: false,
+		result: null,
+		error: null,
+		createdAt: new Date().toISOString(),
+		startedAt: null,
+		finishedAt: null,
+		controller: new AbortController()
+	};
+
+	jobs.set(job.id, job);
+	notify(job);
+	job.done = withLock(`job:${options.projectId}`, () => execute(job, options.run));
+
+	return job;
+}
+
+// Função auxiliar que roda o job (já dentro da fila do projeto)
+async function execute(job, run) {
+	// Cancelado enquanto esperava na fila
+	if (job.state === 'cancelled') return;
+
+	job.state = 'running';
+	job.startedAt = new Date().toISOString();
+	notify(job);
+
+	const context = {
+		signal: job.controller.signal,
+		log: (chunk) => appendOutput(job, chunk),
+		progress: (percent, message) => {
+			job.progress = { percent: percent ?? null, message: message || null };
+			notify(job);
+		}
+	};
+
+	try {
+		const result = await run(context);
+		job.result = result === undefined ? null : result;
+		finish(job, job.controller.signal.aborted ? 'cancelled' : 'succeeded');
+	} catch (err) {
+		job.result = err.result || null;
+		if (job.controller.signal.aborted) {
+			finish(job, 'cancelled');
+		} else {
+			job.error = err.message;
+			finish(job, 'failed');
+		}
+	}
+}
+
+function appendOutput(job, chunk) {
+	job.output += chunk.toString();
+	if (job.output.length > JOB_OUTPUT_LIMIT) {
+		job.output = job.output.slice(-JOB_OUTPUT_LIMIT);
+		job.outputTruncated = true;
+	}
+}
+
+function finish(job, state) {
+	job.state = state;
+	job.finishedAt = new Date().toISOString();
+	if (state === 'succeeded' && job.progress) job.progress = { ...job.progress, percent: 100 };
+	notify(job);
+
+	setTimeout(() => jobs.delete(job.id), JOB_RETENTION).unref();
+}
+
+// Função auxiliar: mudanças de estado também vão para o SSE do projeto
+function notify(job) {
+	if (!job.projectPath) return;
+	publishProjectEvent(job.projectPath, 'job', {
+		id: job.id,
+		type: job.type,
+		state: job.state,
+		progress: job.progress
+	});
+}
+
+/**
+ * Buscar um job pelo id
+ * @param {string} id - Id do job
+ * @returns {Object|null} Job ou null se não existir (ou já expirou)
+ */
+function getJob(id) {
+	return jobs.get(id) || null;
+}
+
+/**
+ * Listar jobs (mais recentes primeiro)
+ * @param {Object} filters - { projectId, state }
+ * @returns {Object[]} Jobs
+ */
+function listJobs(filters = {}) {
+	return [...jobs.values()]
+		.filter(job => !filters.projectId || job.projectId === filters.projectId)
+		.filter(job => !filters.state || job.state === filters.state)
+		.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Cancelar um job: na fila ele nem chega a rodar; em execução recebe o abort (o processo filho é encerrado)
+ * @param {Object} job - Job
+ * @returns {boolean} false se o job já tinha terminado
+ */
+function cancelJob(job) {
+	if (FINAL_STATES.includes(job.state)) return false;
+
+	if (job.state === 'queued') {
+		finish(job, 'cancelled');
+	}
+	job.controller.abort();
+	return true;
+}
+
+/**
+ * Representação pública do job
+ * @param {Object} job - Job
+ * @param {Object} options - { output: inclui a saída capturada }
+ * @returns {Object} Dados serializáveis
+ */
+function serializeJob(job, options = {}) {
+	const data = {
+		id: job.id,
+		type: job.type,
+		projectId: job.projectId,
+		params: job.params,
+		state: job.state,
+		cancelRequested: job.controller.signal.aborted,
+		progress: job.progress,
+		result: job.result,
+		error: job.error,
+		createdAt: job.createdAt,
+		startedAt: job.startedAt,
+		finishedAt: job.finishedAt
+	};
+
+	if (options.output) {
+		data.output = job.output;
+		data.outputTruncated = job.outputTruncated;
+	}
+
+	return data;
+}
+
+module.exports = {
+	FINAL_STATES,
+	createJob,
+	getJob,
+	listJobs,
+	cancelJob,
+	serializeJob
+};
@@ -0,0 +1,322 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { WEBAPP_DIR, stringifyManifest } = require('./ui5');
+const { isInsidePath } = require('../utils/paths');
+
+const MANIFEST_FILE = `${WEBAPP_DIR}/manifest.json`;
+
+// Pasta dos metadados locais (mockserver e ferramentas usam o localUri do dataSource)
+const LOCAL_SERVICE_DIR = 'localService';
+
+// Nome do dataSource principal dos templates (metadata em localService/metadata.xml, modelo "")
+const MAIN_SERVICE = 'mainService';
+
+// Elementos do EDMX que sempre são listas, mesmo com um só item
+const EDMX_LIST_ELEMENTS = new Set([
+	'Schema', 'EntityType', 'ComplexType', 'Property', 'NavigationProperty', 'PropertyRef',
+	'Association', 'End', 'EntityContainer', 'EntitySet', 'AssociationSet', 'NavigationPropertyBinding'
+]);
+
+// Modelo criado para um dataSource novo, por versão do OData
+const DEFAULT_MODELS = {
+	'2.0': {
+		preload: true,
+		settings: {
+			defaultBindingMode: 'TwoWay',
+			defaultCountMode: 'Inline',
+			refreshAfterChange: true
+		}
+	},
+	'4.0': {
+		type: 'sap.ui.model.odata.v4.ODataModel',
+		preload: true,
+		settings: {
+			operationMode: 'Server',
+			autoExpandSelect: true,
+			earlyRequests: true
+		}
+	}
+};
+
+// Função auxiliar: erros com status para a rota
+function odataError(message, status, extra = {}) {
+	const error = new Error(message);
+	error.code = 'EODATA';
+	error.status = status;
+	Object.assign(error, extra);
+	return error;
+}
+
+/**
+ * Ler um $metadata (EDMX do OData V2 ou V4) e extrair os entity sets com propriedades e navegações
+ * @param {string} xml - Conteúdo do $metadata
+ * @returns {Object} { odataVersion: '2.0'|'4.0', namespaces, entitySets: [{ name, entityType, keys, properties, navigationProperties }] }
+ * @throws {Error} code EODATA (400 se o XML for inválido, 422 se não for um EDMX)
+ */
+function parseMetadata(xml) {
+	const validation = XMLValidator.validate(xml);
+	if (validation !== true) {
+		const { msg, line, col } = validation.err;
+		throw odataError(`XML inválido: ${msg}`, 400, { line, column: col });
+	}
+
+	const parser = new XMLParser({
+		ignoreAttributes: false,
+		attributeNamePrefix: '',
+		removeNSPrefix: true,
+		isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute && EDMX_LIST_ELEMENTS.has(name)
+	});
+	const edmx = parser.parse(xml).Edmx;
+	const schemas = edmx && edmx.DataServices && edmx.DataServices.Schema;
+	if (!schemas) {
+		throw odataError('O arquivo não é um $metadata OData (edmx:Edmx/edmx:DataServices/Schema)', 422);
+	}
+
+	const odataVersion = edmx.Version === '4.0' ? '4.0' : '2.0';
+
+	// Tipos e associações pelo nome completo (Namespace.Nome) e pelo alias do schema
+	const entityTypes = new Map();
+	const associations = new Map();
+	const qualify = (schema, name) => [schema.Namespace, schema.Alias].filter(Boolean).map(prefix => `${prefix}.${name}`);
+	for (const schema of schemas) {
+		for (const type of schema.EntityType || []) {
+			const entry = { ...type, fullName: `${schema.Namespace}.${type.Name}` };
+			for (const name of qualify(schema, type.Name)) entityTypes.set(name, entry);
+		}
+		for (const association of schema.Association || []) {
+			for (const name of qualify(schema, association.Name)) associations.set(name, association);
+		}
+	}
+
+	const entitySets = [];
+	for (const schema of schemas) {
+		for (const container of schema.EntityContainer || []) {
+			for (const entitySet of container.EntitySet || []) {
+				const type = entityTypes.get(entitySet.EntityType);
+				if (!type) continue;
+
+				entitySets.push({
+					name: entitySet.Name,
+					entityType: type.fullName,
+					keys: resolveKeys(type, entityTypes),
+					properties: resolveProperties(type, entityTypes).map(property => ({
+						name: property.Name,
+						type: property.Type,
+						nullable: property.Nullable !== 'false',
+						...(property.MaxLength ? { maxLength: property.MaxLength === 'max' ? property.MaxLength : parseInt(property.MaxLength) } : {}),
+						...(property.Precision ? { precision: parseInt(property.Precision) } : {}),
+						...(property.Scale ? { scale: property.Scale === 'variable' ? property.Scale : parseInt(property.Scale) } : {})
+					})),
+					navigationProperties: resolveNavigationProperties(type, entityTypes).map(navigation => (
+						odataVersion === '4.0'
+							? describeV4Navigation(navigation, entitySet, entityTypes)
+							: describeV2Navigation(navigation, entitySet.Name, container, associations, entityTypes)
+					))
+				});
+			}
+		}
+	}
+
+	return {
+		odataVersion,
+		namespaces: schemas.map(schema => schema.Namespace).filter(Boolean),
+		entitySets
+	};
+}
+
+// Função auxiliar: cadeia de herança do tipo (BaseType), do mais genérico ao próprio tipo
+function typeChain(type, entityTypes) {
+	const chain = [];
+	const seen = new Set();
+	for (let current = type; current && !seen.has(current.fullName); current = entityTypes.get(current.BaseType)) {
+		seen.add(current.fullName);
+		chain.unshift(current);
+	}
+	return chain;
+}
+
+function resolveKeys(type, entityTypes) {
+	const keyed = typeChain(type, entityTypes).reverse().find(item => item.Key);
+	return keyed ? (keyed.Key.PropertyRef || []).map(ref => ref.Name) : [];
+}
+
+function resolveProperties(type, entityTypes) {
+	return typeChain(type, entityTypes).flatMap(item => item.Property || []);
+}
+
+function resolveNavigationProperties(type, entityTypes) {
+	return typeChain(type, entityTypes).flatMap(item => item.NavigationProperty || []);
+}
+
+// Função auxiliar: V2 resolve o destino pela associação (ToRole) e o entity set pelo AssociationSet
+function describeV2Navigation(navigation, entitySetName, container, associations, entityTypes) {
+	const association = associations.get(navigation.Relationship);
+	const end = association && (association.End || []).find(item => item.Role === navigation.ToRole);
+	const target = end && entityTypes.get(end.Type);
+
+	const associationSet = (container.AssociationSet || []).find(item =>
+		item.Association === navigation.Relationship &&
+		(item.End || []).some(setEnd => setEnd.Role === navigation.FromRole && setEnd.EntitySet === entitySetName));
+	const targetEnd = associationSet && (associationSet.End || []).find(item => item.Role === navigation.ToRole);
+
+	return {
+		name: navigation.Name,
+		entityType: target ? target.fullName : (end ? end.Type : null),
+		multiplicity: end ? end.Multiplicity : null,
+		entitySet: targetEnd ? targetEnd.EntitySet : null
+	};
+}
+
+// Função auxiliar: V4 traz o tipo na própria navegação (Collection(...)) e o entity set no binding
+function describeV4Navigation(navigation, entitySet, entityTypes) {
+	const collection = /^Collection\((.+)\)$/.exec(navigation.Type || '');
+	const typeName = collection ? collection[1] : navigation.Type;
+	const target = entityTypes.get(typeName);
+	const binding = (entitySet.NavigationPropertyBinding || []).find(item => item.Path === navigation.Name);
+
+	return {
+		name: navigation.Name,
+		entityType: target ? target.fullName : typeName || null,
+		multiplicity: collection ? '*' : navigation.Nullable === 'false' ? '1' : '0..1',
+		entitySet: binding ? binding.Target.split('/').pop() : null
+	};
+}
+
+/**
+ * Registrar um serviço OData no projeto: grava o $metadata em localService/ e cria/atualiza
+ * o dataSource e o modelo no manifest.json. Nada é gravado aqui: o resultado traz as operações para o applyBatch
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} options - { name, uri, model, xml, odataVersion }
+ * @returns {Promise<Object>} { operations, dataSource: { name, uri, localUri, odataVersion, created }, model: { name, created } }
+ * @throws {Error} code EODATA (400 sem uri para serviço novo, 422 se o manifest não permitir)
+ */
+async function planODataService(projectPath, options) {
+	const { name, xml, odataVersion } = options;
+	const modelName = options.model !== undefined ? options.model : name === MAIN_SERVICE ? '' : name;
+
+	let manifestContent;
+	let manifest;
+	try {
+		manifestContent = await fs.readFile(path.join(projectPath, MANIFEST_FILE), 'utf8');
+		manifest = JSON.parse(manifestContent);
+	} catch (e) {
+		if (e.code === 'ENOENT') throw odataError('manifest.json não encontrado', 422);
+		throw odataError(`manifest.json inválido: ${e.message}`, 422);
+	}
+
+	const app = manifest['sap.app'];
+	if (!app) throw odataError('O manifest.json não tem sap.app', 422);
+
+	const dataSources = app.dataSources || {};
+	const existing = dataSources[name];
+	if (existing && existing.type && existing.type !== 'OData') {
+		throw odataError(`O dataSource '${name}' é do tipo ${existing.type}`, 409);
+	}
+
+	const uri = options.uri || (existing && existing.uri);
+	if (!uri) throw odataError(`Informe a uri do serviço (dataSource '${name}' ainda não existe)`, 400);
+
+	// localUri atual é mantido se apontar para dentro da webapp
+	const existingSettings = (existing && existing.settings) || {};
+	const webappPath = path.join(projectPath, WEBAPP_DIR);
+	const keepLocalUri = typeof existingSettings.localUri === 'string' &&
+		isInsidePath(webappPath, path.join(webappPath, existingSettings.localUri)) &&
+		existingSettings.localUri.endsWith('.xml');
+	const localUri = keepLocalUri
+		? existingSettings.localUri
+		: name === MAIN_SERVICE ? `${LOCAL_SERVICE_DIR}/metadata.xml` : `${LOCAL_SERVICE_DIR}/${name}/metadata.xml`;
+
+	const previousVersion = existingSettings.odataVersion || '2.0';
+	app.dataSources = {
+		...dataSources,
+		[name]: {
+			...existing,
+			uri: uri.endsWith('/') ? uri : `${uri}/`,
+			type: 'OData',
+			settings: { ...existingSettings, localUri, odataVersion }
+		}
+	};
+
+	// Modelo: mantém as configurações se a versão do OData não mudou
+	const ui5 = manifest['sap.ui5'] = manifest['sap.ui5'] || {};
+	const models = ui5.models = ui5.models || {};
+	const currentModel = models[modelName];
+	if (currentModel && currentModel.dataSource && currentModel.dataSource !== name) {
+		throw odataError(`O modelo '${modelName}' já usa o dataSource '${currentModel.dataSource}'`, 409);
+	}
+	const keepModel = currentModel && currentModel.dataSource === name && previousVersion === odataVersion;
+	models[modelName] = keepModel
+		? currentModel
+		: { dataSource: name, ...DEFAULT_MODELS[odataVersion] };
+
+	return {
+		operations: [
+			{ op: 'create', filepath: `${WEBAPP_DIR}/${localUri}`, content: xml, overwrite: true },
+			{ op: 'update', filepath: MANIFEST_FILE, content: stringifyManifest(manifestContent, manifest) }
+		],
+		dataSource: {
+			name,
+			uri: app.dataSources[name].uri,
+			localUri,
+			odataVersion,
+			created: !existing
+		},
+		model: {
+			name: modelName,
+			created: !currentModel
+		}
+	};
+}
+
+/**
+ * Listar os dataSources OData do manifest com os entity sets do metadata local (se houver)
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<Object[]>} [{ name, uri, localUri, odataVersion, models, entitySets, error }]
+ */
+async function listODataServices(projectPath) {
+	let manifest;
+	try {
+		manifest = JSON.parse(await fs.readFile(path.join(projectPath, MANIFEST_FILE), 'utf8'));
+	} catch (e) {
+		return []; // Sem manifest válido não há serviços
+	}
+
+	const dataSources = (manifest['sap.app'] || {}).dataSources || {};
+	const models = (manifest['sap.ui5'] || {}).models || {};
+	const services = [];
+
+	for (const [name, dataSource] of Object.entries(dataSources)) {
+		if ((dataSource.type || 'OData') !== 'OData') continue;
+		const settings = dataSource.settings || {};
+		const service = {
+			name,
+			uri: dataSource.uri || null,
+			localUri: settings.localUri || null,
+			odataVersion: settings.odataVersion || '2.0',
+			models: Object.entries(models).filter(([, model]) => model.dataSource === name).map(([model]) => model),
+			entitySets: null,
+			error: null
+		};
+
+		const webappPath = path.join(projectPath, WEBAPP_DIR);
+		const metadataPath = service.localUri && path.join(webappPath, service.localUri);
+		if (metadataPath && isInsidePath(webappPath, metadataPath)) {
+			try {
+				service.entitySets = parseMetadata(await fs.readFile(metadataPath, 'utf8')).entitySets;
+			} catch (e) {
+				service.error = e.code === 'ENOENT' ? 'Metadata local não encontrado' : e.message;
+			}
+		}
+
+		services.push(service);
+	}
+
+	return services;
+}
+
+module.exports = {
+	parseMetadata,
+	planODataService,
+	listODataServices
+};
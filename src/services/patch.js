@@ -0,0 +1,251 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { parsePatch } = require('diff');
+
+const DEV_NULL = '/dev/null';
+
+// Fuzz padrão: quantas linhas de contexto podem ser ignoradas no início/fim de cada hunk (igual ao GNU patch)
+const DEFAULT_FUZZ = 2;
+
+// Função auxiliar: erros de patch malformado viram 400 na rota
+function patchError(message) {
+	const error = new Error(message);
+	error.code = 'EPATCH';
+	return error;
+}
+
+/**
+ * Ler um diff unificado (um ou vários arquivos, formato git diff ou diff -u)
+ * @param {string} text - Conteúdo do patch
+ * @param {Object} options - { strip: componentes removidos do caminho, como patch -pN (padrão: remove a/ e b/) }
+ * @returns {Object[]} Arquivos com { file, oldFile, operation: 'modify'|'create'|'delete'|'rename', hunks }
+ * @throws {Error} code EPATCH se o patch for inválido
+ */
+function parseUnifiedDiff(text, options = {}) {
+	let entries;
+	try {
+		entries = parsePatch(text);
+	} catch (e) {
+		throw patchError(`Patch inválido: ${e.message}`);
+	}
+
+	const files = [];
+	for (const entry of entries) {
+		if (!entry.oldFileName && !entry.newFileName) {
+			// Bloco só com cabeçalho (modo, binário, renomeação sem hunks)
+			if (entry.hunks.length) throw patchError('Hunk sem cabeçalhos ---/+++');
+			continue;
+		}
+
+		const oldFile = stripPath(entry.oldFileName, options.strip);
+		const newFile = stripPath(entry.newFileName, options.strip);
+		if (!oldFile && !newFile) throw patchError('Patch sem caminho de arquivo');
+
+		let operation = 'modify';
+		if (!oldFile) operation = 'create';
+		else if (!newFile) operation = 'delete';
+		else if (oldFile !== newFile) operation = 'rename';
+
+		files.push({ file: newFile || oldFile, oldFile: oldFile || null, operation, hunks: entry.hunks });
+	}
+
+	if (!files.length) throw patchError('Patch não contém nenhum arquivo');
+
+	return files;
+}
+
+// Função auxiliar: "a/webapp/x.js" -> "webapp/x.js" (null para /dev/null)
+function stripPath(fileName, strip) {
+	if (!fileName || fileName === DEV_NULL) return null;
+
+	const parts = fileName.split('/');
+	if (strip === undefined) {
+		return /^[ab]\//.test(fileName) ? parts.slice(1).join('/') : fileName;
+	}
+	if (parts.length <= strip) throw patchError(`Não é possível remover ${strip} componente(s) de ${fileName}`);
+	return parts.slice(strip).join('/');
+}
+
+/**
+ * Aplicar hunks a um conteúdo, procurando o contexto com deslocamento e fuzz.
+ * Hunks em conflito são pulados e reportados; os demais são aplicados.
+ * @param {string} content - Conteúdo atual ('' para arquivo novo)
+ * @param {Object[]} hunks - Hunks de parseUnifiedDiff
+ * @param {Object} options - { fuzz: máximo de linhas de contexto ignoradas }
+ * @returns {{content: string, hunks: Object[], conflicts: number}} Resultado por hunk
+ */
+function applyHunks(content, hunks, options = {}) {
+	const maxFuzz = options.fuzz ?? DEFAULT_FUZZ;
+	const eol = content.includes('\r\n') ? '\r\n' : '\n';
+	const lines = content === '' ? [] : content.split(/\r?\n/);
+
+	let finalNewline = true;
+	if (lines.length) {
+		if (lines[lines.length - 1] === '') lines.pop();
+		else finalNewline = false;
+	}
+
+	const results = [];
+	let sizeDelta = 0; // linhas adicionadas - removidas pelos hunks já aplicados
+	let lastOffset = 0; // deslocamento do último hunk aplicado (os próximos tendem a ter o mesmo)
+	let minIndex = 0; // hunks não podem casar antes do fim do anterior
+
+	hunks.forEach((hunk, index) => {
+		const parsed = splitHunk(hunk);
+		const expected = hunk.oldStart - 1 + sizeDelta;
+		const match = locateHunk(lines, parsed, Math.max(0, expected + lastOffset), minIndex, maxFuzz);
+
+		if (!match) {
+			results.push({
+				hunk: index + 1,
+				status: 'conflict',
+				oldStart: hunk.oldStart,
+				oldLines: hunk.oldLines,
+				message: 'Contexto do hunk não encontrado no arquivo'
+			});
+			return;
+		}
+
+		lines.splice(match.index, match.before.length, ...match.after);
+
+		const offset = match.index - match.skipped - expected;
+		results.push({
+			hunk: index + 1,
+			status: 'applied',
+			oldStart: hunk.oldStart,
+			line: match.index - match.skipped + 1,
+			offset,
+			fuzz: match.fuzz
+		});
+
+		sizeDelta += match.after.length - match.before.length;
+		lastOffset = offset;
+		minIndex = match.index + match.after.length;
+
+		if (parsed.noNewlineNew) finalNewline = false;
+		else if (parsed.noNewlineOld) finalNewline = true;
+	});
+
+	const output = lines.length ? lines.join(eol) + (finalNewline ? eol : '') : '';
+	return {
+		content: output,
+		hunks: results,
+		conflicts: results.filter(result => result.status === 'conflict').length
+	};
+}
+
+// Função auxiliar: separa o hunk em linhas antigas/novas e marcas de "\ No newline at end of file"
+function splitHunk(hunk) {
+	const before = [];
+	const after = [];
+	let noNewlineOld = false;
+	let noNewlineNew = false;
+	let previous = null;
+
+	for (const raw of hunk.lines) {
+		const type = raw[0];
+		const line = raw.slice(1).replace(/\r$/, '');
+
+		if (type === '\\') {
+			if (previous === '-' || previous === ' ') noNewlineOld = true;
+			if (previous === '+' || previous === ' ') noNewlineNew = true;
+			continue;
+		}
+
+		if (type === ' ' || type === '-') before.push(line);
+		if (type === ' ' || type === '+') after.push(line);
+		previous = type;
+	}
+
+	const lineTypes = hunk.lines.filter(line => line[0] !== '\\').map(line => line[0]);
+	const leading = lineTypes.findIndex(type => type !== ' ');
+	const trailing = [...lineTypes].reverse().findIndex(type => type !== ' ');
+
+	return {
+		before,
+		after,
+		// Só contexto: hunk sem mudanças (leading/trailing = -1)
+		leadingContext: leading === -1 ? lineTypes.length : leading,
+		trailingContext: trailing === -1 ? 0 : trailing,
+		noNewlineOld,
+		noNewlineNew
+	};
+}
+
+// Função auxiliar: procura o trecho antigo a partir da posição esperada, aumentando o fuzz aos poucos
+function locateHunk(lines, parsed, expected, minIndex, maxFuzz) {
+	let previousKey = null;
+
+	for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+		const top = Math.min(fuzz, parsed.leadingContext);
+		const bottom = Math.min(fuzz, parsed.trailingContext);
+		const key = `${top}:${bottom}`;
+		if (key === previousKey) break; // Não há mais contexto para ignorar
+		previousKey = key;
+
+		const before = parsed.before.slice(top, parsed.before.length - bottom);
+		const after = parsed.after.slice(top, parsed.after.length - bottom);
+		// Sem nenhuma linha para casar, qualquer posição serviria
+		if (!before.length && parsed.before.length) continue;
+
+		const index = findSequence(lines, before, expected + top, minIndex);
+		if (index !== -1) return { index, before, after, fuzz, skipped: top };
+	}
+
+	return null;
+}
+
+// Função auxiliar: posição mais próxima de "start" onde "sequence" aparece (>= minIndex)
+function findSequence(lines, sequence, start, minIndex) {
+	const last = lines.length - sequence.length;
+	if (last < minIndex) return -1;
+
+	const from = Math.min(Math.max(start, minIndex), last);
+	for (let distance = 0; from - distance >= minIndex || from + distance <= last; distance++) {
+		for (const candidate of distance ? [from - distance, from + distance] : [from]) {
+			if (candidate < minIndex || candidate > last) continue;
+			if (sequence.every((line, i) => lines[candidate + i] === line)) return candidate;
+		}
+	}
+
+	return -1;
+}
+
+/**
+ * Gravar um conjunto de arquivos de uma vez: tudo vai para arquivos temporários
+ * e só então é renomeado, para um erro no meio não deixar o projeto pela metade
+ * @param {Array<{fullPath: string, content: string|null}>} writes - content null exclui o arquivo
+ * @returns {Promise<void>}
+ */
+async function writeFilesAtomically(writes) {
+	const suffix = `.patch-${crypto.randomBytes(4).toString('hex')}.tmp`;
+	const staged = [];
+
+	try {
+		for (const write of writes) {
+			if (write.content === null) continue;
+			await fs.mkdir(path.dirname(write.fullPath), { recursive: true });
+			await fs.writeFile(write.fullPath + suffix, write.content, 'utf8');
+			staged.push(write.fullPath + suffix);
+		}
+	} catch (err) {
+		await Promise.all(staged.map(tempPath => fs.rm(tempPath, { force: true })));
+		throw err;
+	}
+
+	for (const write of writes) {
+		if (write.content === null) {
+			await fs.rm(write.fullPath, { force: true });
+		} else {
+			await fs.rename(write.fullPath + suffix, write.fullPath);
+		}
+	}
+}
+
+module.exports = {
+	DEFAULT_FUZZ,
+	parseUnifiedDiff,
+	applyHunks,
+	writeFilesAtomically
+};
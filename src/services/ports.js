@@ -0,0 +1,228 @@
+const fs = require('fs/promises');
+const path = require('path');
+const net = require('net');
+const { BASE_DIR } = require('../utils/paths');
+const { withLock } = require('../utils/lock');
+const { readProjectMeta } = require('./projects');
+
+// Faixa de portas do host usada pelos containers dos projetos
+const PORT_RANGE_START = parseInt(process.env.PORT_RANGE_START) || 8006;
+const PORT_RANGE_END = parseInt(process.env.PORT_RANGE_END) || 8999;
+
+// Faixa das portas do live-reload (fiori-tools-appreload), uma por projeto
+const LIVERELOAD_PORT_RANGE_START = parseInt(process.env.LIVERELOAD_PORT_RANGE_START) || 35729;
+const LIVERELOAD_PORT_RANGE_END = parseInt(process.env.LIVERELOAD_PORT_RANGE_END) || 35999;
+
+// Host usado na URL de preview devolvida pelo docker/status
+const PREVIEW_HOST = process.env.PREVIEW_HOST || 'localhost';
+
+const COMPOSE_FILE = 'docker-compose.yml';
+const UI5_YAML_FILE = 'ui5.yaml';
+
+// Portas reservadas nesta execução (projectPath -> porta): cobre o intervalo entre
+// a alocação e a gravação do project.json, que é a fonte de verdade do registro
+const reservations = new Map();
+const livereloadReservations = new Map();
+
+// Tipos de porta do projeto: campo do project.json, faixa e reservas
+const PORT_KINDS = {
+	port: { start: PORT_RANGE_START, end: PORT_RANGE_END, reservations },
+	livereloadPort: { start: LIVERELOAD_PORT_RANGE_START, end: LIVERELOAD_PORT_RANGE_END, reservations: livereloadReservations }
+};
+
+// Função auxiliar: erros de porta viram 409/503 na rota
+function portError(message, code) {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
+/**
+ * Alocar a porta do host de um projeto (idempotente: devolve a porta que o projeto já tem)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {number} preferred - Porta pedida explicitamente (opcional)
+ * @returns {Promise<number>} Porta alocada
+ * @throws {Error} code EPORTINUSE se a porta pedida for de outro projeto, ENOPORT se a faixa estiver cheia
+ */
+async function allocateProjectPort(projectPath, preferred) {
+	return allocatePort('port', projectPath, preferred);
+}
+
+/**
+ * Alocar a porta do live-reload de um projeto (idempotente, como allocateProjectPort)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {number} preferred - Porta pedida explicitamente (opcional)
+ * @returns {Promise<number>} Porta alocada
+ * @throws {Error} code EPORTINUSE se a porta pedida for de outro projeto, ENOPORT se a faixa estiver cheia
+ */
+async function allocateLivereloadPort(projectPath, preferred) {
+	return allocatePort('livereloadPort', projectPath, preferred);
+}
+
+// Função auxiliar: alocação de um tipo de porta, sem colidir com nenhuma porta de outro projeto
+async function allocatePort(kind, projectPath, preferred) {
+	const { start, end, reservations: reserved } = PORT_KINDS[kind];
+
+	return withLock('ports', async () => {
+		const meta = await readProjectMeta(projectPath);
+		const current = reserved.get(projectPath) || (meta && meta[kind]) || null;
+		if (current && (preferred === undefined || preferred === current)) return current;
+
+		const used = await listAllocatedPorts(projectPath);
+		// A outra porta do próprio projeto também está ocupada
+		for (const [otherKind, other] of Object.entries(PORT_KINDS)) {
+			if (otherKind === kind) continue;
+			const own = other.reservations.get(projectPath) || (meta && meta[otherKind]);
+			if (own) used.set(own, path.basename(projectPath));
+		}
+
+		if (preferred !== undefined) {
+			if (used.has(preferred)) {
+				throw portError(`Porta ${preferred} já está em uso pelo projeto ${used.get(preferred)}`, 'EPORTINUSE');
+			}
+			reserved.set(projectPath, preferred);
+			return preferred;
+		}
+
+		for (let port = start; port <= end; port++) {
+			if (used.has(port) || !await isPortAvailable(port)) continue;
+			reserved.set(projectPath, port);
+			return port;
+		}
+
+		throw portError(`Nenhuma porta livre entre ${start} e ${end}`, 'ENOPORT');
+	});
+}
+
+/**
+ * Liberar as portas de um projeto (ao deletar o projeto)
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<void>}
+ */
+async function releaseProjectPort(projectPath) {
+	return withLock('ports', async () => {
+		for (const { reservations: reserved } of Object.values(PORT_KINDS)) reserved.delete(projectPath);
+	});
+}
+
+// Função auxiliar: porta -> id do projeto, lendo o project.json de todos os projetos
+async function listAllocatedPorts(exceptPath) {
+	const used = new Map();
+
+	let entries = [];
+	try {
+		entries = await fs.readdir(BASE_DIR, { withFileTypes: true });
+	} catch (e) {
+		// Pasta base ainda não existe
+	}
+
+	for (const entry of entries) {
+		if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+		const projectPath = path.join(BASE_DIR, entry.name);
+		if (projectPath === exceptPath) continue;
+
+		const meta = await readProjectMeta(projectPath);
+		for (const kind of Object.keys(PORT_KINDS)) {
+			if (meta && meta[kind]) used.set(meta[kind], entry.name);
+		}
+	}
+
+	for (const { reservations: reserved } of Object.values(PORT_KINDS)) {
+		for (const [projectPath, port] of reserved) {
+			if (projectPath !== exceptPath) used.set(port, path.basename(projectPath));
+		}
+	}
+
+	return used;
+}
+
+// Função auxiliar: a porta pode estar ocupada por algo fora dos projetos
+function isPortAvailable(port) {
+	return new Promise((resolve) => {
+		const server = net.createServer();
+		server.once('error', () => resolve(false));
+		server.once('listening', () => server.close(() => resolve(true)));
+		server.listen(port, '0.0.0.0');
+	});
+}
+
+/**
+ * Gravar as portas do projeto nos arquivos que as fixam (clone/importação):
+ * docker-compose.yml ("host:container" do app e "N:N" do live-reload) e a porta do
+ * fiori-tools-appreload no ui5.yaml
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} ports - { port, livereloadPort }
+ * @returns {Promise<string[]>} Arquivos alterados
+ */
+async function applyProjectPorts(projectPath, { port, livereloadPort }) {
+	const changed = [];
+	if (await setComposePorts(projectPath, port, livereloadPort)) changed.push(COMPOSE_FILE);
+	if (livereloadPort && await setAppreloadPort(projectPath, livereloadPort)) changed.push(UI5_YAML_FILE);
+	return changed;
+}
+
+// Função auxiliar: o mapeamento "N:N" é o do live-reload; o app precisa ser o único outro
+async function setComposePorts(projectPath, port, livereloadPort) {
+	const composePath = path.join(projectPath, COMPOSE_FILE);
+
+	let content;
+	try {
+		content = await fs.readFile(composePath, 'utf8');
+	} catch (e) {
+		return false;
+	}
+
+	const mappingRegex = /^(\s*-\s*["']?)(\d+)(:)(\d+)((?:\/\w+)?["']?\s*)$/gm;
+	const mappings = [...content.matchAll(mappingRegex)];
+	const appMappings = mappings.filter(match => match[2] !== match[4]);
+
+	const updated = content.replace(mappingRegex, (line, start, host, colon, container, end) => {
+		if (host === container) {
+			return livereloadPort ? `${start}${livereloadPort}${colon}${livereloadPort}${end}` : line;
+		}
+		return appMappings.length === 1 ? `${start}${port}${colon}${container}${end}` : line;
+	});
+	if (updated === content) return false;
+
+	await fs.writeFile(composePath, updated, 'utf8');
+	return true;
+}
+
+// Função auxiliar: "port: N" na configuração do fiori-tools-appreload do ui5.yaml
+async function setAppreloadPort(projectPath, livereloadPort) {
+	const yamlPath = path.join(projectPath, UI5_YAML_FILE);
+
+	let content;
+	try {
+		content = await fs.readFile(yamlPath, 'utf8');
+	} catch (e) {
+		return false;
+	}
+
+	const appreloadRegex = /(-\s*name:\s*fiori-tools-appreload\b(?:(?!\n\s*-\s*name:)[\s\S])*?\bport:\s*)\d+/;
+	const updated = content.replace(appreloadRegex, `$1${livereloadPort}`);
+	if (updated === content) return false;
+
+	await fs.writeFile(yamlPath, updated, 'utf8');
+	return true;
+}
+
+/**
+ * Montar a URL de preview do projeto
+ * @param {number} port - Porta do host
+ * @returns {string|null} URL ou null se o projeto não tiver porta
+ */
+function getPreviewUrl(port) {
+	return port ? `http://${PREVIEW_HOST}:${port}/` : null;
+}
+
+module.exports = {
+	PORT_RANGE_START,
+	PORT_RANGE_END,
+	LIVERELOAD_PORT_RANGE_START,
+	allocateProjectPort,
+	allocateLivereloadPort,
+	releaseProjectPort,
+	applyProjectPorts,
+	getPreviewUrl
+};
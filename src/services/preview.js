@@ -0,0 +1,223 @@
+const http = require('http');
+const net = require('net');
+const fs = require('fs/promises');
+const { isValidProjectId, resolveProjectPath } = require('../utils/paths');
+const { readProjectMeta } = require('./projects');
+
+// Host onde as portas dos projetos respondem, visto por este serviço
+// (em container, algo como host.docker.internal)
+const PREVIEW_UPSTREAM_HOST = process.env.PREVIEW_UPSTREAM_HOST || 'localhost';
+
+// Porta fixa do fiori-tools-appreload nos projetos criados antes da porta de live-reload por projeto
+// (livereloadPort no project.json, a mesma do ui5.yaml e do docker-compose)
+const LEGACY_LIVERELOAD_PORT = 35729;
+
+const PREVIEW_PREFIX = '/preview';
+
+// Headers de uma conexão só, que não passam pelo proxy
+const HOP_BY_HOP_HEADERS = [
+	'connection',
+	'keep-alive',
+	'proxy-authenticate',
+	'proxy-authorization',
+	'te',
+	'trailer',
+	'transfer-encoding',
+	'upgrade'
+];
+
+// Script de live-reload injetado no HTML (aponta direto para host:porta do appreload)
+const LIVERELOAD_SNIPPET_REGEX = /<script[^>]*\ssrc=["'][^"']*:\d+\/livereload\.js[^"']*["'][^>]*>\s*<\/script>/gi;
+
+/**
+ * Descobrir para onde vai uma requisição do preview
+ * @param {string} id - Id do projeto
+ * @param {string} rest - Caminho depois de /preview/:id/ (com query)
+ * @returns {Promise<Object>} { status: 'ok', port, path } | { status: 'invalid'|'not-found'|'no-port' }
+ */
+async function resolvePreviewTarget(id, rest) {
+	if (!isValidProjectId(id)) return { status: 'invalid' };
+
+	const projectPath = resolveProjectPath(id);
+	try {
+		await fs.access(projectPath);
+	} catch (e) {
+		return { status: 'not-found' };
+	}
+
+	const meta = await readProjectMeta(projectPath);
+	if (!meta || !meta.port) return { status: 'no-port', projectPath };
+
+	// livereload.js e o websocket /livereload são do servidor do appreload, na porta de live-reload do projeto
+	const isLivereload = /^livereload(\.js)?$/.test(rest.split('?')[0]);
+
+	return {
+		status: 'ok',
+		projectPath,
+		port: isLivereload ? meta.livereloadPort || LEGACY_LIVERELOAD_PORT : meta.port,
+		path: `/${rest}`
+	};
+}
+
+// Função auxiliar: headers da requisição repassada ao servidor UI5
+function buildUpstreamHeaders(req, port, prefix) {
+	const headers = { ...req.headers };
+	for (const header of HOP_BY_HOP_HEADERS) delete headers[header];
+
+	const remoteAddress = req.socket.remoteAddress;
+	headers.host = `${PREVIEW_UPSTREAM_HOST}:${port}`;
+	headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+		? `${req.headers['x-forwarded-for']}, ${remoteAddress}`
+		: remoteAddress;
+	headers['x-forwarded-host'] = req.headers['x-forwarded-host'] || req.headers.host;
+	headers['x-forwarded-proto'] = req.headers['x-forwarded-proto'] || (req.socket.encrypted ? 'https' : 'http');
+	headers['x-forwarded-prefix'] = prefix;
+
+	return headers;
+}
+
+// Função auxiliar: redirects do servidor UI5 apontam para a raiz dele
+function rewriteLocation(location, port, prefix) {
+	const upstreamOrigin = new RegExp(`^https?://(?:${PREVIEW_UPSTREAM_HOST}|localhost|127\\.0\\.0\\.1):${port}(?=/|$)`);
+	const relative = location.replace(upstreamOrigin, '');
+	return relative.startsWith('/') && !relative.startsWith('//') ? `${prefix}${relative}` : location;
+}
+
+// Função auxiliar: o script do live-reload passa a carregar pelo proxy, na mesma origem da página
+function rewriteLivereloadSnippet(html, prefix) {
+	const loader = `<script>(function () {
+	var script = document.createElement('script');
+	var port = location.port || (location.protocol === 'https:' ? 443 : 80);
+	script.src = '${prefix}/livereload.js?snipver=1&port=' + port + '&path=${prefix.slice(1)}/livereload';
+	script.async = true;
+	document.head.appendChild(script);
+})();</script>`;
+
+	return html.replace(LIVERELOAD_SNIPPET_REGEX, loader);
+}
+
+/**
+ * Repassar uma requisição HTTP ao servidor UI5 do projeto (respostas em streaming;
+ * só o HTML é lido inteiro para ajustar o script de live-reload)
+ * @param {http.IncomingMessage} req - Requisição
+ * @param {http.ServerResponse} res - Resposta
+ * @param {Object} target - { port, path } (resolvePreviewTarget)
+ * @param {string} prefix - Prefixo público do projeto (/preview/:id)
+ * @param {Function} onUnavailable - (err) => void, chamado se o servidor não responder
+ */
+function proxyPreviewRequest(req, res, target, prefix, onUnavailable) {
+	const headers = buildUpstreamHeaders(req, target.port, prefix);
+
+	// Navegação recebe HTML sem compressão para o ajuste do live-reload
+	const wantsHtml = (req.headers.accept || '').includes('text/html');
+	if (wantsHtml) delete headers['accept-encoding'];
+
+	const upstream = http.request({
+		host: PREVIEW_UPSTREAM_HOST,
+		port: target.port,
+		method: req.method,
+		path: target.path,
+		headers
+	}, (upstreamRes) => {
+		const responseHeaders = { ...upstreamRes.headers };
+		for (const header of HOP_BY_HOP_HEADERS) delete responseHeaders[header];
+		if (responseHeaders.location) {
+			responseHeaders.location = rewriteLocation(responseHeaders.location, target.port, prefix);
+		}
+
+		const isHtml = /text\/html/i.test(responseHeaders['content-type'] || '') && !responseHeaders['content-encoding'];
+		if (!isHtml) {
+			res.writeHead(upstreamRes.statusCode, responseHeaders);
+			upstreamRes.pipe(res);
+			return;
+		}
+
+		const chunks = [];
+		upstreamRes.on('data', chunk => chunks.push(chunk));
+		upstreamRes.on('end', () => {
+			const body = Buffer.from(rewriteLivereloadSnippet(Buffer.concat(chunks).toString('utf8'), prefix), 'utf8');
+			responseHeaders['content-length'] = body.length;
+			res.writeHead(upstreamRes.statusCode, responseHeaders);
+			res.end(body);
+		});
+	});
+
+	upstream.on('error', (err) => {
+		if (!res.headersSent) return onUnavailable(err);
+		res.destroy(err);
+	});
+
+	// Cliente desistiu (ex.: navegação cancelada)
+	res.on('close', () => {
+		if (!res.writableFinished) upstream.destroy();
+	});
+
+	req.pipe(upstream);
+}
+
+/**
+ * Tratar o upgrade de WebSocket de /preview/:id/* (live-reload e afins), ligando os sockets direto
+ * ao servidor do projeto. Registrar no servidor HTTP: server.on('upgrade', handlePreviewUpgrade)
+ * @param {http.IncomingMessage} req - Requisição de upgrade
+ * @param {net.Socket} socket - Socket do cliente
+ * @param {Buffer} head - Primeiros bytes já lidos
+ */
+async function handlePreviewUpgrade(req, socket, head) {
+	const match = /^\/preview\/([^/?]+)\/(.*)$/.exec(req.url);
+	if (!match) {
+		socket.destroy();
+		return;
+	}
+
+	const [, id, rest] = match;
+	const prefix = `${PREVIEW_PREFIX}/${id}`;
+
+	let target;
+	try {
+		target = await resolvePreviewTarget(id, rest);
+	} catch (err) {
+		target = { status: 'error' };
+	}
+
+	if (target.status !== 'ok') {
+		const status = target.status === 'invalid' ? '400 Bad Request' : target.status === 'not-found' ? '404 Not Found' : '503 Service Unavailable';
+		socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+		return;
+	}
+
+	const headers = buildUpstreamHeaders(req, target.port, prefix);
+	headers.connection = 'Upgrade';
+	headers.upgrade = req.headers.upgrade;
+
+	let connected = false;
+	const upstream = net.connect(target.port, PREVIEW_UPSTREAM_HOST, () => {
+		connected = true;
+		const headerLines = Object.entries(headers)
+			.flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => `${name}: ${item}`));
+		upstream.write(`${req.method} ${target.path} HTTP/1.1\r\n${headerLines.join('\r\n')}\r\n\r\n`);
+		if (head && head.length) upstream.write(head);
+
+		upstream.pipe(socket);
+		socket.pipe(upstream);
+	});
+
+	upstream.on('error', () => {
+		if (!connected) {
+			socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+		} else {
+			socket.destroy();
+		}
+	});
+	socket.on('error', () => upstream.destroy());
+	socket.on('close', () => upstream.destroy());
+	// O servidor HTTP aceita conexões meio abertas: cliente que encerrou não volta
+	socket.on('end', () => upstream.destroy());
+	upstream.on('close', () => socket.destroy());
+}
+
+module.exports = {
+	PREVIEW_PREFIX,
+	resolvePreviewTarget,
+	proxyPreviewRequest,
+	handlePreviewUpgrade
+};
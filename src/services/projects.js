@@ -0,0 +1,163 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { withLock } = require('../utils/lock');
+
+const PROJECT_META_FILE = 'project.json';
+
+/**
+ * Ler o project.json de um projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<Object|null>} Metadados ou null se não existir/for inválido
+ */
+async function readProjectMeta(projectPath) {
+	try {
+		const content = await fs.readFile(path.join(projectPath, PROJECT_META_FILE), 'utf8');
+		return JSON.parse(content);
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Gravar o project.json de um projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} data - Metadados completos
+ * @returns {Promise<Object>} Metadados gravados
+ */
+async function writeProjectMeta(projectPath, data) {
+	await fs.writeFile(
+		path.join(projectPath, PROJECT_META_FILE),
+		JSON.stringify(data, null, 2)
+	);
+	return data;
+}
+
+/**
+ * Montar o project.json de um projeto novo: campos editáveis vazios + dados informados
+ * @param {Object} data - Campos do projeto (id, template, namespace...)
+ * @returns {Object} Metadados completos
+ */
+function createProjectMeta(data) {
+	const now = new Date().toISOString();
+	return {
+		id: data.id,
+		description: null,
+		tags: [],
+		owner: null,
+		ui5Version: null,
+		backendUrl: null,
+		meta: {},
+		createdAt: now,
+		updatedAt: now,
+		...data
+	};
+}
+
+/**
+ * Atualizar campos do project.json (ler, mesclar e gravar sem corrida entre requisições)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} changes - Campos a sobrescrever
+ * @returns {Promise<Object>} Metadados gravados
+ */
+async function updateProjectMeta(projectPath, changes) {
+	return withLock(`meta:${projectPath}`, async () => {
+		// Projetos antigos podem não ter project.json
+		const current = (await readProjectMeta(projectPath)) || { id: path.basename(projectPath) };
+		return writeProjectMeta(projectPath, { ...current, ...changes });
+	});
+}
+
+/**
+ * Marcar o projeto como alterado (updatedAt)
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<Object>} Metadados gravados
+ */
+async function touchProject(projectPath) {
+	return updateProjectMeta(projectPath, { updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Descobrir o namespace UI5 do projeto (sap.app.id do manifest.json ou project.json)
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<string|null>} Namespace ou null se não for possível descobrir
+ */
+async function detectProjectNamespace(projectPath) {
+	try {
+		const manifest = JSON.parse(await fs.readFile(path.join(projectPath, 'webapp', 'manifest.json'), 'utf8'));
+		if (manifest['sap.app'] && manifest['sap.app'].id) return manifest['sap.app'].id;
+	} catch (e) {
+		// Sem manifest.json válido, usa o que estiver no project.json
+	}
+
+	const meta = await readProjectMeta(projectPath);
+	if (!meta) return null;
+
+	return (meta.parameters && meta.parameters.namespace) || meta.namespace || null;
+}
+
+/**
+ * Calcular o ETag (hash do conteúdo) de um arquivo
+ * @param {Buffer|string} content - Conteúdo do arquivo
+ * @returns {string} ETag entre aspas, pronto para o header
+ */
+function computeEtag(content) {
+	return `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+}
+
+/**
+ * Calcular o ETag de um arquivo lendo em stream (mesmo valor de computeEtag, sem carregar tudo na memória)
+ * @param {string} fullPath - Caminho absoluto do arquivo
+ * @returns {Promise<string>} ETag entre aspas, pronto para o header
+ */
+async function computeFileEtag(fullPath) {
+	const hash = crypto.createHash('sha1');
+	await pipeline(createReadStream(fullPath), hash);
+	return `"${hash.digest('hex')}"`;
+}
+
+/**
+ * Ler a versão atual de um arquivo (etag, tamanho e data de modificação)
+ * @param {string} fullPath - Caminho absoluto do arquivo
+ * @returns {Promise<Object|null>} Versão ou null se o arquivo não existir
+ */
+async function readFileVersion(fullPath) {
+	try {
+		const [content, stats] = await Promise.all([fs.readFile(fullPath), fs.stat(fullPath)]);
+		return { etag: computeEtag(content), size: stats.size, modified: stats.mtime };
+	} catch (e) {
+		if (e.code === 'ENOENT' || e.code === 'EISDIR') return null;
+		throw e;
+	}
+}
+
+/**
+ * Verificar um header If-Match contra a versão atual do arquivo
+ * @param {string} ifMatch - Valor do header (lista de ETags ou "*")
+ * @param {Object|null} current - Versão atual (readFileVersion)
+ * @returns {boolean} true se a escrita pode prosseguir
+ */
+function matchesIfMatch(ifMatch, current) {
+	if (!current) return false; // Arquivo sumiu (ou nunca existiu) desde a leitura
+
+	return ifMatch
+		.split(',')
+		.map(tag => tag.trim().replace(/^W\//, ''))
+		.some(tag => tag === '*' || tag === current.etag);
+}
+
+module.exports = {
+	PROJECT_META_FILE,
+	computeEtag,
+	computeFileEtag,
+	readFileVersion,
+	matchesIfMatch,
+	readProjectMeta,
+	writeProjectMeta,
+	createProjectMeta,
+	updateProjectMeta,
+	touchProject,
+	detectProjectNamespace
+};
@@ -0,0 +1,181 @@
+const { publishProjectEvent } = require('./events');
+
+// Host e caminho testados na porta mapeada do projeto (o ui5 serve responde o index.html quando está pronto)
+const READINESS_HOST = process.env.READINESS_HOST || process.env.PREVIEW_HOST || 'localhost';
+const READINESS_PATH = process.env.READINESS_PATH || '/index.html';
+
+const READINESS_TIMEOUT = parseInt(process.env.READINESS_TIMEOUT) || 120000; // 2min default
+const READINESS_INTERVAL = parseInt(process.env.READINESS_INTERVAL) || 1000;
+const PROBE_REQUEST_TIMEOUT = 3000;
+
+// Estado por projeto: { state: 'starting'|'ready'|'failed', url, startedAt, checkedAt, attempts, error }
+const probes = new Map();
+
+/**
+ * Montar a URL testada pela sonda
+ * @param {number} port - Porta do host
+ * @returns {string} URL
+ */
+function getReadinessUrl(port) {
+	return `http://${READINESS_HOST}:${port}${READINESS_PATH}`;
+}
+
+/**
+ * Fazer uma requisição de teste (qualquer resposta abaixo de 500 conta como pronto)
+ * @param {string} url - URL testada
+ * @returns {Promise<{ok: boolean, status: number|null, error: string|null}>} Resultado
+ */
+async function probeOnce(url) {
+	try {
+		const response = await fetch(url, { signal: AbortSignal.timeout(PROBE_REQUEST_TIMEOUT) });
+		await response.body?.cancel();
+		return { ok: response.status < 500, status: response.status, error: response.status < 500 ? null : `HTTP ${response.status}` };
+	} catch (err) {
+		return { ok: false, status: null, error: (err.cause && err.cause.code) || err.message };
+	}
+}
+
+/**
+ * Consultar a porta até o app responder ou o tempo acabar.
+ * Uma nova espera no mesmo projeto substitui a anterior.
+ * @param {string} projectPath - Pasta do projeto
+ * @param {number} port - Porta do host
+ * @param {Object} options - { timeout (ms), signal }
+ * @returns {Promise<Object>} Estado final (ready ou failed)
+ */
+async function waitForReady(projectPath, port, options = {}) {
+	const timeout = options.timeout || READINESS_TIMEOUT;
+	const url = getReadinessUrl(port);
+	const probe = {
+		state: 'starting',
+		url,
+		startedAt: new Date().toISOString(),
+		checkedAt: null,
+		attempts: 0,
+		error: null
+	};
+	probes.set(projectPath, probe);
+
+	const deadline = Date.now() + timeout;
+	const isCurrent = () => probes.get(projectPath) === probe;
+
+	while (isCurrent() && !(options.signal && options.signal.aborted)) {
+		const result = await probeOnce(url);
+		probe.attempts++;
+		probe.checkedAt = new Date().toISOString();
+		probe.error = result.error;
+
+		if (result.ok) {
+			probe.state = 'ready';
+			return settle(projectPath, probe);
+		}
+
+		if (Date.now() >= deadline) {
+			probe.state = 'failed';
+			probe.error = `App não respondeu em ${Math.round(timeout / 1000)}s (${result.error})`;
+			return settle(projectPath, probe);
+		}
+
+		await new Promise(resolve => setTimeout(resolve, READINESS_INTERVAL));
+	}
+
+	// Substituída por outra espera ou cancelada
+	if (isCurrent()) {
+		probe.state = 'failed';
+		probe.error = 'Espera cancelada';
+	}
+	return probe;
+}
+
+// Função auxiliar: o resultado da sonda também vai para o SSE do projeto
+function settle(projectPath, probe) {
+	publishProjectEvent(projectPath, 'docker', {
+		action: 'readiness',
+		status: probe.state,
+		url: probe.url,
+		error: probe.error
+	});
+	return probe;
+}
+
+/**
+ * Iniciar a sonda em segundo plano (o status mostra starting até responder)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {number} port - Porta do host
+ */
+function startReadinessProbe(projectPath, port) {
+	waitForReady(projectPath, port).catch((err) => {
+		console.warn(`Aviso: falha na sonda de prontidão de ${projectPath}:`, err.message);
+	});
+}
+
+/**
+ * Estado atual da prontidão do projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Object|null} Estado ou null se nenhuma sonda rodou desde que o serviço subiu
+ */
+function getReadiness(projectPath) {
+	const probe = probes.get(projectPath);
+	return probe ? { ...probe } : null;
+}
+
+/**
+ * Estado da prontidão para o docker/status: fora de uma espera em andamento, confirma
+ * com uma consulta avulsa (o app pode ter caído ou voltado, ou o serviço foi reiniciado
+ * com os containers de pé)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {number} port - Porta do host
+ * @returns {Promise<Object>} Estado atual
+ */
+async function checkReadiness(projectPath, port) {
+	const current = probes.get(projectPath);
+	if (current && current.state === 'starting') return { ...current };
+
+	const url = getReadinessUrl(port);
+	const result = await probeOnce(url);
+	if (probes.get(projectPath) !== current) return getReadiness(projectPath); // Outra sonda começou nesse meio tempo
+
+	if (result.ok) {
+		const probe = current || { state: 'ready', url, startedAt: new Date().toISOString(), attempts: 0 };
+		const changed = probe.state !== 'ready';
+		probe.state = 'ready';
+		probe.attempts++;
+		probe.checkedAt = new Date().toISOString();
+		probe.error = null;
+		probes.set(projectPath, probe);
+		// O app voltou a responder (ex.: depois de uma falha): avisa o SSE só na mudança
+		if (changed) settle(projectPath, probe);
+		return { ...probe };
+	}
+
+	if (current) {
+		const changed = current.state === 'ready';
+		if (changed) current.error = `App parou de responder (${result.error})`;
+		current.state = 'failed';
+		current.checkedAt = new Date().toISOString();
+		if (changed) settle(projectPath, current);
+		return { ...current };
+	}
+
+	startReadinessProbe(projectPath, port);
+	return getReadiness(projectPath);
+}
+
+/**
+ * Esquecer o estado (containers parados ou projeto removido)
+ * @param {string} projectPath - Pasta do projeto
+ */
+function clearReadiness(projectPath) {
+	probes.delete(projectPath);
+}
+
+module.exports = {
+	READINESS_TIMEOUT,
+	getReadinessUrl,
+	probeOnce,
+	waitForReady,
+	startReadinessProbe,
+	getReadiness,
+	checkReadiness,
+	clearReadiness
+};
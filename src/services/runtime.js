@@ -0,0 +1,399 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { publishProjectEvent } = require('./events');
+
+// Como o preview roda: 'docker' (docker-compose, precisa do docker.sock) ou
+// 'process' (npm start do projeto como processo filho deste serviço)
+const RUNTIME_DRIVER = process.env.RUNTIME_DRIVER === 'process' ? 'process' : 'docker';
+
+// Linhas de log guardadas por projeto (as mais antigas são descartadas)
+const RUNTIME_LOG_LINES = parseInt(process.env.RUNTIME_LOG_LINES) || 5000;
+
+// Supervisão: reinícios automáticos seguidos antes de desistir (o contador zera
+// quando o processo fica de pé por RUNTIME_STABLE_TIME)
+const RUNTIME_MAX_RESTARTS = parseInt(process.env.RUNTIME_MAX_RESTARTS) || 5;
+const RUNTIME_RESTART_DELAY = parseInt(process.env.RUNTIME_RESTART_DELAY) || 2000; // ms
+const RUNTIME_STABLE_TIME = 60000;
+
+// Tempo para o processo sair com SIGTERM antes do SIGKILL
+const STOP_TIMEOUT = 10000;
+
+// Estado por projeto (fica após o stop para os logs continuarem consultáveis)
+const runtimes = new Map();
+
+// Função auxiliar: erros com code para a rota/job
+function runtimeError(message, code) {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
+function getRuntime(projectPath) {
+	let runtime = runtimes.get(projectPath);
+	if (!runtime) {
+		runtime = {
+			state: 'stopped',
+			child: null,
+			port: null,
+			command: null,
+			startedAt: null,
+			exitCode: null,
+			restarts: 0,
+			stopRequested: false,
+			restartTimer: null,
+			logs: [],
+			pending: { stdout: '', stderr: '' },
+			emitter: new EventEmitter()
+		};
+		runtime.emitter.setMaxListeners(0);
+		runtimes.set(projectPath, runtime);
+	}
+	return runtime;
+}
+
+/**
+ * Montar o comando do script start do projeto com a porta alocada
+ * (o script dos templates fixa a porta do container, --port 8081)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {number} port - Porta do host
+ * @returns {Promise<string>} Comando para o shell
+ * @throws {Error} code ENOSTART se o package.json não tiver script start
+ */
+async function resolveStartCommand(projectPath, port) {
+	let pkg = null;
+	try {
+		pkg = JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8'));
+	} catch (e) {
+		// Sem package.json (ou inválido): cai no erro abaixo
+	}
+
+	const script = pkg && pkg.scripts && pkg.scripts.start;
+	if (!script) {
+		throw runtimeError('package.json do projeto não tem script start', 'ENOSTART');
+	}
+
+	return /--port[= ]\d+/.test(script)
+		? script.replace(/--port([= ])\d+/, `--port$1${port}`)
+		: `${script} --port ${port}`;
+}
+
+/**
+ * Instalar as dependências do projeto (npm install)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} options - { clean: apaga node_modules antes, onData, signal }
+ * @returns {Promise<void>}
+ * @throws {Error} Se o npm install falhar
+ */
+async function installDependencies(projectPath, options = {}) {
+	if (options.clean) {
+		await fs.rm(path.join(projectPath, 'node_modules'), { recursive: true, force: true });
+	}
+
+	const runtime = getRuntime(projectPath);
+	const exitCode = await new Promise((resolve) => {
+		const child = spawn('npm', ['install'], {
+			cwd: projectPath,
+			stdio: ['ignore', 'pipe', 'pipe'],
+			signal: options.signal
+		});
+
+		for (const stream of ['stdout', 'stderr']) {
+			child[stream].on('data', (data) => {
+				appendLog(runtime, stream, data);
+				if (options.onData) options.onData(data);
+			});
+		}
+
+		child.on('close', resolve);
+		child.on('error', (err) => {
+			appendLog(runtime, 'stderr', `${err.message}\n`);
+			resolve(-1);
+		});
+	});
+	flushLogs(runtime);
+
+	if (exitCode !== 0) {
+		throw runtimeError(`npm install terminou com código ${exitCode}`, 'EINSTALL');
+	}
+}
+
+/**
+ * Subir o npm start do projeto como processo supervisionado (idempotente: se já
+ * estiver rodando, nada muda). As dependências são instaladas se faltar node_modules.
+ * @param {string} projectPath - Pasta do projeto
+ * @param {number} port - Porta do host
+ * @param {Object} options - { onData, signal } (usados na instalação)
+ * @returns {Promise<Object>} Status do processo (getProcessStatus)
+ */
+async function startProjectProcess(projectPath, port, options = {}) {
+	const runtime = getRuntime(projectPath);
+	if (runtime.child) return getProcessStatus(projectPath);
+
+	const command = await resolveStartCommand(projectPath, port);
+
+	try {
+		await fs.access(path.join(projectPath, 'node_modules'));
+	} catch (e) {
+		await installDependencies(projectPath, options);
+	}
+
+	clearTimeout(runtime.restartTimer);
+	runtime.port = port;
+	runtime.command = command;
+	runtime.restarts = 0;
+	runtime.stopRequested = false;
+	spawnProcess(projectPath, runtime);
+
+	return getProcessStatus(projectPath);
+}
+
+// Função auxiliar: o shell roda em um grupo próprio para o stop encerrar também os netos (ui5 serve)
+function spawnProcess(projectPath, runtime) {
+	const binPath = path.join(projectPath, 'node_modules', '.bin');
+	const child = spawn(runtime.command, {
+		cwd: projectPath,
+		shell: true,
+		detached: true,
+		stdio: ['ignore', 'pipe', 'pipe'],
+		env: {
+			...process.env,
+			PATH: `${binPath}${path.delimiter}${process.env.PATH}`,
+			PORT: String(runtime.port)
+		}
+	});
+
+	runtime.child = child;
+	runtime.state = 'running';
+	runtime.startedAt = new Date().toISOString();
+	runtime.exitCode = null;
+	appendLog(runtime, 'stdout', `> ${runtime.command}\n`);
+
+	child.stdout.on('data', (data) => appendLog(runtime, 'stdout', data));
+	child.stderr.on('data', (data) => appendLog(runtime, 'stderr', data));
+	child.on('error', (err) => {
+		appendLog(runtime, 'stderr', `${err.message}\n`);
+		handleExit(projectPath, runtime, child, -1);
+	});
+	child.on('close', (code, signal) => handleExit(projectPath, runtime, child, code === null ? signal : code));
+}
+
+// Função auxiliar: saída pedida pelo stop encerra; queda inesperada reinicia com espera
+function handleExit(projectPath, runtime, child, exitCode) {
+	if (runtime.child !== child) return;
+
+	runtime.child = null;
+	runtime.exitCode = exitCode;
+	flushLogs(runtime);
+
+	if (runtime.stopRequested) {
+		runtime.state = 'stopped';
+		runtime.emitter.emit('end', exitCode);
+		return;
+	}
+
+	if (Date.now() - Date.parse(runtime.startedAt) >= RUNTIME_STABLE_TIME) runtime.restarts = 0;
+
+	if (runtime.restarts >= RUNTIME_MAX_RESTARTS) {
+		runtime.state = 'crashed';
+		appendLog(runtime, 'stderr', `[supervisor] processo caiu ${runtime.restarts + 1} vezes seguidas; desistindo\n`);
+		publishProjectEvent(projectPath, 'docker', { action: 'supervisor', status: 'crashed', exitCode });
+		runtime.emitter.emit('end', exitCode);
+		return;
+	}
+
+	runtime.restarts++;
+	runtime.state = 'restarting';
+	appendLog(runtime, 'stderr', `[supervisor] processo saiu com ${exitCode}; reiniciando (tentativa ${runtime.restarts})\n`);
+	publishProjectEvent(projectPath, 'docker', {
+		action: 'supervisor',
+		status: 'restarting',
+		exitCode,
+		attempt: runtime.restarts
+	});
+
+	runtime.restartTimer = setTimeout(() => {
+		runtime.restartTimer = null;
+		if (!runtime.stopRequested && !runtime.child) spawnProcess(projectPath, runtime);
+	}, RUNTIME_RESTART_DELAY);
+}
+
+/**
+ * Parar o processo do projeto (SIGTERM no grupo, SIGKILL se não sair a tempo)
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Promise<Object>} { wasRunning, exitCode }
+ */
+async function stopProjectProcess(projectPath) {
+	const runtime = runtimes.get(projectPath);
+	if (!runtime) return { wasRunning: false, exitCode: null };
+
+	runtime.stopRequested = true;
+	clearTimeout(runtime.restartTimer);
+	runtime.restartTimer = null;
+
+	const child = runtime.child;
+	if (!child) {
+		if (runtime.state !== 'stopped') {
+			runtime.state = 'stopped';
+			runtime.emitter.emit('end', runtime.exitCode);
+		}
+		return { wasRunning: false, exitCode: runtime.exitCode };
+	}
+
+	runtime.state = 'stopping';
+	const exited = new Promise(resolve => child.once('close', resolve));
+	killProcessGroup(child, 'SIGTERM');
+	const killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), STOP_TIMEOUT);
+	await exited;
+	clearTimeout(killTimer);
+
+	return { wasRunning: true, exitCode: runtime.exitCode };
+}
+
+function killProcessGroup(child, signal) {
+	try {
+		process.kill(-child.pid, signal);
+	} catch (e) {
+		// Grupo já saiu
+	}
+}
+
+/**
+ * Status do processo do projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @returns {Object} { state: running|restarting|stopping|stopped|crashed, pid, port, command, startedAt, exitCode, restarts }
+ */
+function getProcessStatus(projectPath) {
+	const runtime = runtimes.get(projectPath);
+	if (!runtime) {
+		return { state: 'stopped', pid: null, port: null, command: null, startedAt: null, exitCode: null, restarts: 0 };
+	}
+
+	return {
+		state: runtime.state,
+		pid: runtime.child ? runtime.child.pid : null,
+		port: runtime.port,
+		command: runtime.command,
+		startedAt: runtime.startedAt,
+		exitCode: runtime.exitCode,
+		restarts: runtime.restarts
+	};
+}
+
+// Função auxiliar: quebra a saída em linhas (partes sem \n esperam a próxima leitura)
+function appendLog(runtime, stream, chunk) {
+	const lines = (runtime.pending[stream] + chunk.toString()).split('\n');
+	runtime.pending[stream] = lines.pop();
+	for (const line of lines) pushLogLine(runtime, stream, line);
+}
+
+function flushLogs(runtime) {
+	for (const stream of ['stdout', 'stderr']) {
+		if (runtime.pending[stream]) pushLogLine(runtime, stream, runtime.pending[stream]);
+		runtime.pending[stream] = '';
+	}
+}
+
+function pushLogLine(runtime, stream, line) {
+	const entry = { time: new Date().toISOString(), stream, line: line.replace(/\r$/, '') };
+	runtime.logs.push(entry);
+	if (runtime.logs.length > RUNTIME_LOG_LINES) runtime.logs.splice(0, runtime.logs.length - RUNTIME_LOG_LINES);
+	runtime.emitter.emit('line', entry);
+}
+
+// Função auxiliar: since no formato do docker-compose logs (10m, 2h, 30s ou data)
+function parseSince(since) {
+	const relative = /^(\d+)([smh])$/.exec(since);
+	if (relative) {
+		const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+		return new Date(Date.now() - parseInt(relative[1]) * units[relative[2]]);
+	}
+
+	const date = new Date(since);
+	return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Ler os logs guardados do processo do projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} options - { tail: número ou 'all', since }
+ * @returns {Object[]} Linhas { time, stream, line }
+ */
+function readProcessLogs(projectPath, options = {}) {
+	const runtime = runtimes.get(projectPath);
+	if (!runtime) return [];
+
+	let entries = runtime.logs;
+	const since = options.since ? parseSince(options.since) : null;
+	if (since) entries = entries.filter(entry => new Date(entry.time) >= since);
+	if (options.tail !== undefined && options.tail !== 'all') entries = options.tail > 0 ? entries.slice(-options.tail) : [];
+
+	return entries;
+}
+
+/**
+ * Acompanhar os logs do processo até ele parar (como o docker-compose logs --follow)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} handlers - { onLine(entry), onEnd(exitCode) }
+ * @returns {Function} Função para cancelar o acompanhamento
+ */
+function followProcessLogs(projectPath, handlers) {
+	const runtime = runtimes.get(projectPath);
+	if (!runtime || ['stopped', 'crashed'].includes(runtime.state)) {
+		handlers.onEnd(runtime ? runtime.exitCode : null);
+		return () => {};
+	}
+
+	const onLine = (entry) => handlers.onLine(entry);
+	const onEnd = (exitCode) => {
+		unsubscribe();
+		handlers.onEnd(exitCode);
+	};
+	const unsubscribe = () => {
+		runtime.emitter.off('line', onLine);
+		runtime.emitter.off('end', onEnd);
+	};
+
+	runtime.emitter.on('line', onLine);
+	runtime.emitter.on('end', onEnd);
+	return unsubscribe;
+}
+
+/**
+ * Formatar uma linha de log como texto
+ * @param {Object} entry - Linha { time, stream, line }
+ * @param {boolean} timestamps - Prefixar com a data
+ * @returns {string} Linha formatada (sem \n)
+ */
+function formatLogEntry(entry, timestamps) {
+	return timestamps ? `${entry.time} ${entry.line}` : entry.line;
+}
+
+// Os processos estão em grupos próprios (o Ctrl+C do terminal não chega neles): encerrar junto com o serviço
+function killAllProcesses() {
+	for (const runtime of runtimes.values()) {
+		if (runtime.child) killProcessGroup(runtime.child, 'SIGTERM');
+	}
+}
+
+if (RUNTIME_DRIVER === 'process') {
+	process.on('exit', killAllProcesses);
+	for (const signal of ['SIGINT', 'SIGTERM']) {
+		process.once(signal, () => {
+			killAllProcesses();
+			process.kill(process.pid, signal);
+		});
+	}
+}
+
+module.exports = {
+	RUNTIME_DRIVER,
+	installDependencies,
+	startProjectProcess,
+	stopProjectProcess,
+	getProcessStatus,
+	readProcessLogs,
+	followProcessLogs,
+	formatLogEntry
+};
@@ -0,0 +1,357 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { WEBAPP_DIR, stringifyManifest } = require('./ui5');
+const { parsePropertiesKeys } = require('./validation');
+const { FILTERS } = require('./templating');
+
+const MANIFEST_FILE = `${WEBAPP_DIR}/manifest.json`;
+
+// Pasta dos fragments nos templates (ex.: view/fragments/fmHeader.fragment.xml)
+const FRAGMENTS_DIR = 'fragments';
+
+// Parâmetros do padrão de rota do UI5: {obrigatorio}, :opcional:, {?query}, :rest*:
+const ROUTE_PARAM_REGEX = /\{\??([A-Za-z_]\w*)\*?\}|:\??([A-Za-z_]\w*)\*?:/g;
+
+// Função auxiliar: erros com status para a rota
+function scaffoldError(message, status, extra = {}) {
+	const error = new Error(message);
+	error.code = 'ESCAFFOLD';
+	error.status = status;
+	Object.assign(error, extra);
+	return error;
+}
+
+/**
+ * Extrair os nomes dos parâmetros de um padrão de rota (ex.: orders/{orderId}/:tab: -> [orderId, tab])
+ * @param {string} pattern - Padrão da rota
+ * @returns {string[]} Nomes dos parâmetros
+ */
+function getRouteParameters(pattern) {
+	return [...pattern.matchAll(ROUTE_PARAM_REGEX)].map(match => match[1] || match[2]);
+}
+
+/**
+ * Gerar uma página (view, controller, rota, target e textos i18n) no projeto UI5.
+ * Nada é gravado aqui: o resultado traz as operações para o applyBatch
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string} namespace - Namespace da aplicação
+ * @param {Object} options - { name, title, routeName, pattern, variant: 'page'|'fragment'|'dialog', overwrite }
+ * @returns {Promise<Object>} { operations, files, route, target, i18n: { files, keys } }
+ * @throws {Error} code ESCAFFOLD (status 409 em conflito, 422 se o manifest não permitir)
+ */
+async function planPageScaffold(projectPath, namespace, options) {
+	const { name, variant = 'page', overwrite = false } = options;
+	const camelName = name.charAt(0).toLowerCase() + name.slice(1);
+	const routeName = options.routeName || camelName;
+	const pattern = options.pattern !== undefined ? options.pattern : toKebabCase(name);
+	const title = options.title || name.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+	const parameters = getRouteParameters(pattern);
+
+	const manifestPath = path.join(projectPath, MANIFEST_FILE);
+	let manifestContent;
+	let manifest;
+	try {
+		manifestContent = await fs.readFile(manifestPath, 'utf8');
+		manifest = JSON.parse(manifestContent);
+	} catch (e) {
+		if (e.code === 'ENOENT') throw scaffoldError('manifest.json não encontrado', 422);
+		throw scaffoldError(`manifest.json inválido: ${e.message}`, 422);
+	}
+
+	const ui5 = manifest['sap.ui5'];
+	if (!ui5 || !ui5.routing) {
+		throw scaffoldError('O manifest.json não tem sap.ui5.routing', 422);
+	}
+
+	// 1) Arquivos
+	const viewPath = (ui5.routing.config || {}).viewPath;
+	const viewName = viewPath === `${namespace}.view` ? name : `${namespace}.view.${name}`;
+	const fragmentName = variant === 'fragment' ? `${name}Content` : variant === 'dialog' ? `${name}Dialog` : null;
+
+	const keys = {
+		title: `${camelName}Title`,
+		viewTitle: `${camelName}ViewTitle`,
+		...(variant === 'dialog' ? {
+			dialogTitle: `${camelName}DialogTitle`,
+			dialogOpen: `${camelName}DialogOpen`,
+			dialogClose: `${camelName}DialogClose`
+		} : {})
+	};
+
+	const context = { namespace, name, camelName, routeName, parameters, fragmentName, variant, keys };
+	const files = [
+		{ path: `${WEBAPP_DIR}/view/${name}.view.xml`, content: renderView(context) },
+		{ path: `${WEBAPP_DIR}/controller/${name}.controller.js`, content: renderController(context) }
+	];
+	if (fragmentName) {
+		files.push({
+			path: `${WEBAPP_DIR}/view/${FRAGMENTS_DIR}/${fragmentName}.fragment.xml`,
+			content: variant === 'dialog' ? renderDialogFragment(context) : renderContentFragment(context)
+		});
+	}
+
+	if (!overwrite) {
+		const existing = [];
+		for (const file of files) {
+			try {
+				await fs.access(path.join(projectPath, file.path));
+				existing.push(file.path);
+			} catch (e) {
+				// Não existe: ok
+			}
+		}
+		if (existing.length) {
+			throw scaffoldError('Arquivos da página já existem (use overwrite: true para substituir)', 409, { conflicts: existing });
+		}
+	}
+
+	// 2) Rota e target no manifest
+	const routing = ui5.routing;
+	const routes = routing.routes || [];
+	const routeList = Array.isArray(routes) ? routes : Object.entries(routes).map(([key, route]) => ({ name: key, ...route }));
+	const targets = routing.targets || {};
+
+	const conflicts = [];
+	if (!overwrite && routeList.some(route => route.name === routeName)) conflicts.push(`Rota '${routeName}' já existe`);
+	if (!overwrite && targets[camelName]) conflicts.push(`Target '${camelName}' já existe`);
+	const samePattern = routeList.find(route => route.pattern === pattern && route.name !== routeName);
+	if (samePattern) conflicts.push(`O padrão '${pattern}' já é usado pela rota '${samePattern.name}'`);
+	if (conflicts.length) {
+		throw scaffoldError(conflicts.join('; '), 409, { conflicts });
+	}
+
+	const route = { pattern, name: routeName, target: [camelName] };
+	const target = { viewName, viewId: camelName, title: `{i18n>${keys.viewTitle}}` };
+
+	if (Array.isArray(routes)) {
+		const index = routes.findIndex(item => item.name === routeName);
+		if (index >= 0) routes[index] = route;
+		else routes.push(route);
+		routing.routes = routes;
+	} else {
+		const { name: routeKey, ...definition } = route;
+		routing.routes = { ...routes, [routeKey]: definition };
+	}
+	routing.targets = { ...targets, [camelName]: target };
+
+	// Lista de telas do menu (free-style/menu)
+	if (Array.isArray(routing.viewsScreenControl) && !routing.viewsScreenControl.some(item => item.viewId === camelName)) {
+		routing.viewsScreenControl.push({ viewName, viewId: camelName });
+	}
+
+	const operations = files.map(file => ({ op: 'create', filepath: file.path, content: file.content, overwrite }));
+	operations.push({ op: 'update', filepath: MANIFEST_FILE, content: stringifyManifest(manifestContent, manifest) });
+
+	// 3) Textos i18n (base e variantes de idioma do modelo i18n)
+	const texts = {
+		[keys.title]: title,
+		[keys.viewTitle]: title,
+		...(variant === 'dialog' ? {
+			[keys.dialogTitle]: title,
+			[keys.dialogOpen]: 'Abrir',
+			[keys.dialogClose]: 'Fechar'
+		} : {})
+	};
+
+	const i18nFiles = await findI18nFiles(projectPath, manifest, namespace);
+	for (const file of i18nFiles.files) {
+		const content = await fs.readFile(path.join(projectPath, file), 'utf8');
+		const block = renderPropertiesBlock(`Página ${title}`, texts, new Set(parsePropertiesKeys(content)));
+		if (!block) continue;
+		const separator = !content || content.endsWith('\n') ? '' : '\n';
+		operations.push({ op: 'update', filepath: file, content: `${content}${separator}${block}` });
+	}
+	if (!i18nFiles.files.length) {
+		operations.push({ op: 'create', filepath: i18nFiles.basePath, content: renderPropertiesBlock(`Página ${title}`, texts, new Set()).trimStart() });
+	}
+
+	return {
+		operations,
+		files: files.map(file => file.path),
+		route,
+		target: { name: camelName, ...target },
+		parameters,
+		i18n: {
+			files: i18nFiles.files.length ? i18nFiles.files : [i18nFiles.basePath],
+			keys: Object.keys(texts)
+		}
+	};
+}
+
+// Função auxiliar: OrderDetail -> order-detail (padrão de rota default)
+function toKebabCase(value) {
+	return value.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+// Função auxiliar: arquivos .properties do modelo "i18n" (o usado nas views geradas)
+async function findI18nFiles(projectPath, manifest, namespace) {
+	const models = (manifest['sap.ui5'] || {}).models || {};
+	const settings = (models.i18n && models.i18n.settings) || {};
+	const appI18n = (manifest['sap.app'] || {}).i18n;
+
+	let basePath;
+	if (settings.bundleUrl) {
+		basePath = settings.bundleUrl.replace(/\.properties$/, '');
+	} else if (settings.bundleName && settings.bundleName.startsWith(`${namespace}.`)) {
+		basePath = settings.bundleName.slice(namespace.length + 1).split('.').join('/');
+	} else {
+		const appUrl = typeof appI18n === 'string' ? appI18n : (appI18n && appI18n.bundleUrl) || 'i18n/i18n.properties';
+		basePath = appUrl.replace(/\.properties$/, '');
+	}
+
+	const dir = path.posix.dirname(basePath);
+	const baseName = path.posix.basename(basePath);
+	let entries = [];
+	try {
+		entries = await fs.readdir(path.join(projectPath, WEBAPP_DIR, dir));
+	} catch (e) {
+		// Pasta i18n ainda não existe
+	}
+
+	const files = entries
+		.filter(file => file === `${baseName}.properties` || (file.startsWith(`${baseName}_`) && file.endsWith('.properties')))
+		.sort()
+		.map(file => `${WEBAPP_DIR}/${path.posix.join(dir, file)}`);
+
+	return { basePath: `${WEBAPP_DIR}/${basePath}.properties`, files };
+}
+
+// Função auxiliar: bloco de textos com comentário, só com as chaves que o arquivo ainda não tem
+function renderPropertiesBlock(comment, texts, existingKeys) {
+	const lines = Object.entries(texts)
+		.filter(([key]) => !existingKeys.has(key))
+		.map(([key, value]) => `${key}=${FILTERS.properties(value)}`);
+	// Quebra de linha no comentário viraria uma linha de chave no arquivo
+	return lines.length ? `\n#${comment.replace(/[\r\n]+/g, ' ')}\n${lines.join('\n')}\n` : '';
+}
+
+// Função auxiliar: XML da view (no padrão da Home do template)
+function renderView({ namespace, name, fragmentName, variant, keys }) {
+	const usesCore = Boolean(fragmentName);
+	const headerContent = variant === 'dialog' ? `
+        <headerContent>
+            <Button
+                text="{i18n>${keys.dialogOpen}}"
+                press="onOpen${fragmentName}"
+            />
+        </headerContent>` : '';
+	const content = variant === 'fragment' ? `
+        <content>
+            <core:Fragment
+                fragmentName="${namespace}.view.${FRAGMENTS_DIR}.${fragmentName}"
+                type="XML"
+            />
+        </content>` : `
+        <content>
+            <l:VerticalLayout
+                class="sapUiContentPadding"
+                width="100%"
+            >
+            </l:VerticalLayout>
+        </content>`;
+
+	return `<mvc:View
+    controllerName="${namespace}.controller.${name}"
+    xmlns="sap.m"
+    xmlns:l="sap.ui.layout"
+    xmlns:mvc="sap.ui.core.mvc"${usesCore ? '\n    xmlns:core="sap.ui.core"' : ''}
+>
+    <Page
+        showHeader="true"
+        title="{i18n>${keys.title}}"
+    >${headerContent}${content}
+    </Page>
+</mvc:View>
+`;
+}
+
+function renderContentFragment() {
+	return `<core:FragmentDefinition
+    xmlns="sap.m"
+    xmlns:l="sap.ui.layout"
+    xmlns:core="sap.ui.core"
+>
+    <l:VerticalLayout
+        class="sapUiContentPadding"
+        width="100%"
+    >
+    </l:VerticalLayout>
+</core:FragmentDefinition>
+`;
+}
+
+function renderDialogFragment({ fragmentName, keys }) {
+	return `<core:FragmentDefinition
+    xmlns="sap.m"
+    xmlns:core="sap.ui.core"
+>
+    <Dialog
+        id="${fragmentName.charAt(0).toLowerCase() + fragmentName.slice(1)}"
+        title="{i18n>${keys.dialogTitle}}"
+        contentWidth="30rem"
+    >
+        <content>
+        </content>
+        <endButton>
+            <Button
+                text="{i18n>${keys.dialogClose}}"
+                press="onClose${fragmentName}"
+            />
+        </endButton>
+    </Dialog>
+</core:FragmentDefinition>
+`;
+}
+
+// Função auxiliar: controller estendendo o _BaseController (no padrão do Home.controller.js)
+function renderController({ namespace, name, routeName, parameters, fragmentName, variant }) {
+	const deps = [['./_BaseController', 'BaseController'], ['sap/ui/model/json/JSONModel', 'JSONModel']];
+	if (variant === 'dialog') deps.push(['sap/ui/core/Fragment', 'Fragment']);
+
+	const argumentsComment = parameters.length ? `\n        // Parâmetros da rota: ${parameters.join(', ')}` : '';
+	const dialogMethods = variant === 'dialog' ? `,
+      onOpen${fragmentName}: function () {
+        if (!this._p${fragmentName}) {
+          this._p${fragmentName} = Fragment.load({
+            id: this.getView().getId(),
+            name: '${namespace}.view.${FRAGMENTS_DIR}.${fragmentName}',
+            controller: this
+          }).then(function (oDialog) {
+            this.getView().addDependent(oDialog)
+            return oDialog
+          }.bind(this))
+        }
+        this._p${fragmentName}.then(function (oDialog) {
+          oDialog.open()
+        })
+      },
+      onClose${fragmentName}: function () {
+        this.byId('${fragmentName.charAt(0).toLowerCase() + fragmentName.slice(1)}').close()
+      }` : '';
+
+	return `sap.ui.define(
+  [
+${deps.map(([module]) => `    '${module}'`).join(',\n')}
+  ],
+  function (${deps.map(([, alias]) => alias).join(', ')}) {
+    'use strict'
+
+    return BaseController.extend('${namespace}.controller.${name}', {
+      onInit: function () {
+        this.setModel(new JSONModel({ arguments: {} }), 'view')
+
+        this.getRouter().getRoute('${routeName}').attachPatternMatched(this._onObjectMatched, this)
+      },
+      _onObjectMatched: function (oEvent) {${argumentsComment}
+        this.getModel('view').setProperty('/arguments', oEvent.getParameter('arguments'))
+      }${dialogMethods}
+    })
+  }
+)
+`;
+}
+
+module.exports = {
+	getRouteParameters,
+	planPageScaffold
+};
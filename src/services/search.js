@@ -0,0 +1,179 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { minimatch } = require('minimatch');
+const { isBinaryBuffer } = require('./templating');
+
+// Arquivos maiores que isso são ignorados (bundles, dumps de mockdata)
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Tempo máximo de uma busca com regex do usuário (ms): a expressão roda numa worker thread,
+// encerrada se passar disso (ex.: (a+)+$ numa linha minificada travaria o event loop)
+const SEARCH_REGEX_TIMEOUT = parseInt(process.env.SEARCH_REGEX_TIMEOUT) || 5000;
+
+// Função auxiliar: erros com code para a rota
+function searchError(message, code) {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
+/**
+ * Montar a RegExp de busca a partir da query
+ * @param {string} query - Texto ou expressão regular
+ * @param {Object} options - { regex, caseSensitive, wholeWord }
+ * @returns {RegExp} Expressão com flag global
+ * @throws {SyntaxError} Se a expressão regular for inválida
+ */
+function buildSearchRegex(query, options = {}) {
+	let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	if (options.wholeWord) source = `\\b(?:${source})\\b`;
+
+	return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Buscar texto/regex nos arquivos do projeto
+ * @param {string} projectPath - Pasta do projeto
+ * @param {RegExp} regex - Expressão montada por buildSearchRegex
+ * @param {Object} options - { glob, context, maxResults, path, ignored: matcher de createIgnoreMatcher,
+ *   isolated: roda a expressão numa worker thread com tempo limite (regex informada pelo usuário) }
+ * @returns {Promise<Object>} Resultados com arquivo, linha, coluna e contexto
+ * @throws {Error} code ESEARCHTIMEOUT se a busca isolada passar de SEARCH_REGEX_TIMEOUT
+ */
+async function searchProject(projectPath, regex, options = {}) {
+	const contextLines = options.context ?? 2;
+	const isIgnored = options.ignored || (() => false);
+	const maxResults = options.maxResults || 200;
+	const matchGlob = options.glob
+		? (relPath) => minimatch(relPath, options.glob, { dot: true, matchBase: !options.glob.includes('/') })
+		: () => true;
+
+	const state = { results: [], filesSearched: 0, filesMatched: 0, truncated: false };
+	const startDir = options.path ? path.join(projectPath, options.path) : projectPath;
+
+	const runner = options.isolated ? createIsolatedRunner(regex) : null;
+	const search = runner
+		? runner.search
+		: async (content, remaining) => searchContent(content, regex, contextLines, remaining);
+
+	try {
+		await walk(startDir, path.relative(projectPath, startDir).split(path.sep).join('/'));
+	} finally {
+		if (runner) await runner.close();
+	}
+
+	async function walk(dirPath, relativePath) {
+		const entries = await fs.readdir(dirPath, { withFileTypes: true });
+		entries.sort((a, b) => a.name.localeCompare(b.name));
+
+		for (const entry of entries) {
+			if (state.truncated) return;
+
+			const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+			const fullPath = path.join(dirPath, entry.name);
+
+			if (isIgnored(relPath, entry.isDirectory())) continue;
+
+			if (entry.isDirectory()) {
+				await walk(fullPath, relPath);
+				continue;
+			}
+
+			if (!entry.isFile() || !matchGlob(relPath)) continue;
+
+			const stats = await fs.stat(fullPath);
+			if (stats.size > MAX_FILE_SIZE) continue;
+
+			const buffer = await fs.readFile(fullPath);
+			if (isBinaryBuffer(buffer)) continue;
+
+			state.filesSearched++;
+			const found = await search(buffer.toString('utf8'), maxResults - state.results.length, contextLines);
+			if (found.matches.length) {
+				state.filesMatched++;
+				state.results.push(...found.matches.map(match => ({ file: relPath, ...match })));
+			}
+			if (found.truncated || state.results.length >= maxResults) state.truncated = true;
+		}
+	}
+
+	return state;
+}
+
+// Função auxiliar para achar as ocorrências em um conteúdo (linhas e colunas começam em 1)
+function searchContent(content, regex, contextLines, remaining) {
+	const lines = content.split(/\r?\n/);
+	const matches = [];
+
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		regex.lastIndex = 0;
+
+		let match;
+		while ((match = regex.exec(line)) !== null) {
+			if (matches.length >= remaining) return { matches, truncated: true };
+
+			matches.push({
+				line: i + 1,
+				column: match.index + 1,
+				match: match[0],
+				text: line,
+				before: lines.slice(Math.max(0, i - contextLines), i),
+				after: lines.slice(i + 1, i + 1 + contextLines)
+			});
+
+			// Evita loop infinito em matches vazios (ex.: /^/)
+			if (match[0] === '') regex.lastIndex++;
+		}
+	}
+
+	return { matches, truncated: false };
+}
+
+// Função auxiliar: busca numa worker thread, com um prazo total para a busca inteira
+function createIsolatedRunner(regex) {
+	const worker = new Worker(__filename, { workerData: { source: regex.source, flags: regex.flags } });
+	const deadline = Date.now() + SEARCH_REGEX_TIMEOUT;
+
+	const search = (content, remaining, contextLines) => new Promise((resolve, reject) => {
+		const cleanup = () => {
+			clearTimeout(timer);
+			worker.off('message', onMessage);
+			worker.off('error', onError);
+		};
+		const onMessage = (found) => {
+			cleanup();
+			resolve(found);
+		};
+		const onError = (err) => {
+			cleanup();
+			reject(err);
+		};
+		const timer = setTimeout(() => {
+			cleanup();
+			worker.terminate();
+			reject(searchError(`A expressão regular passou do tempo limite de ${SEARCH_REGEX_TIMEOUT / 1000}s`, 'ESEARCHTIMEOUT'));
+		}, Math.max(0, deadline - Date.now()));
+
+		worker.on('message', onMessage);
+		worker.on('error', onError);
+		worker.postMessage({ content, remaining, contextLines });
+	});
+
+	return { search, close: () => worker.terminate() };
+}
+
+// Dentro da worker thread: recebe conteúdos e devolve as ocorrências
+if (!isMainThread && workerData && workerData.source !== undefined) {
+	const regex = new RegExp(workerData.source, workerData.flags);
+	parentPort.on('message', ({ content, remaining, contextLines }) => {
+		parentPort.postMessage(searchContent(content, regex, contextLines, remaining));
+	});
+}
+
+module.exports = {
+	SEARCH_REGEX_TIMEOUT,
+	buildSearchRegex,
+	searchProject
+};
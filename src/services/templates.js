@@ -0,0 +1,189 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { z } = require('zod');
+const { renderDirectory } = require('./templating');
+
+const TEMPLATES_DIR = path.resolve(__dirname, '../../templates');
+
+// Arquivo que marca uma pasta como template e declara seus parâmetros
+const TEMPLATE_MANIFEST = 'template.json';
+
+const parameterSchema = z.object({
+	type: z.enum(['string', 'number', 'integer', 'boolean', 'enum', 'url']),
+	description: z.string().optional(),
+	required: z.boolean().optional().default(false),
+	default: z.any().optional(),
+	values: z.array(z.string()).min(1).optional(), // apenas para type = enum
+	pattern: z.string().optional(), // apenas para type = string
+	min: z.number().optional(),
+	max: z.number().optional()
+});
+
+const manifestSchema = z.object({
+	name: z.string().min(1),
+	description: z.string().optional().default(''),
+	ui5Version: z.string().optional(),
+	parameters: z.record(parameterSchema).optional().default({})
+});
+
+/**
+ * Listar todos os templates disponíveis (pastas com template.json)
+ * @returns {Promise<Object[]>} Templates com id, nome, descrição e parâmetros
+ */
+async function listTemplates() {
+	const templates = [];
+	await collectTemplates(TEMPLATES_DIR, '', templates);
+	return templates.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Função auxiliar para percorrer a pasta de templates procurando manifestos
+async function collectTemplates(dirPath, relativePath, templates) {
+	const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+	if (entries.some(entry => entry.isFile() && entry.name === TEMPLATE_MANIFEST)) {
+		templates.push(await loadTemplate(relativePath));
+		return; // Subpastas de um template fazem parte dele
+	}
+
+	for (const entry of entries) {
+		if (entry.isDirectory() && entry.name !== 'node_modules') {
+			await collectTemplates(
+				path.join(dirPath, entry.name),
+				path.posix.join(relativePath, entry.name),
+				templates
+			);
+		}
+	}
+}
+
+/**
+ * Carregar um template pelo id (caminho relativo, ex.: "free-style/menu")
+ * @param {string} templateId - Id do template
+ * @returns {Promise<Object|null>} Template ou null se não existir
+ */
+async function getTemplate(templateId) {
+	const templatePath = resolveTemplatePath(templateId);
+	if (!templatePath) return null;
+
+	try {
+		await fs.access(path.join(templatePath, TEMPLATE_MANIFEST));
+	} catch (e) {
+		return null;
+	}
+
+	// Normaliza o id (ex.: "./free-style//menu" -> "free-style/menu")
+	return loadTemplate(path.relative(TEMPLATES_DIR, templatePath).split(path.sep).join('/'));
+}
+
+// Função auxiliar para ler e validar o template.json
+async function loadTemplate(templateId) {
+	const templatePath = path.join(TEMPLATES_DIR, templateId);
+	const content = await fs.readFile(path.join(templatePath, TEMPLATE_MANIFEST), 'utf8');
+
+	const parsed = manifestSchema.safeParse(JSON.parse(content));
+	if (!parsed.success) {
+		throw new Error(`Manifesto do template '${templateId}' inválido: ${parsed.error.message}`);
+	}
+
+	return {
+		id: templateId,
+		path: templatePath,
+		...parsed.data
+	};
+}
+
+// Função auxiliar para impedir que o id do template saia da pasta de templates
+function resolveTemplatePath(templateId) {
+	if (!templateId || path.isAbsolute(templateId)) return null;
+
+	const target = path.resolve(TEMPLATES_DIR, templateId);
+	if (!target.startsWith(TEMPLATES_DIR + path.sep)) return null;
+
+	return target;
+}
+
+/**
+ * Montar o schema zod a partir dos parâmetros declarados no manifesto
+ * @param {Object} parameters - Parâmetros do template.json
+ * @returns {z.ZodObject} Schema que valida e aplica defaults
+ */
+function buildParametersSchema(parameters) {
+	const shape = {};
+
+	for (const [name, def] of Object.entries(parameters)) {
+		let schema;
+
+		switch (def.type) {
+			case 'number':
+			case 'integer':
+				schema = z.coerce.number();
+				if (def.type === 'integer') schema = schema.int();
+				if (def.min !== undefined) schema = schema.min(def.min);
+				if (def.max !== undefined) schema = schema.max(def.max);
+				break;
+			case 'boolean':
+				schema = z.boolean();
+				break;
+			case 'enum':
+				schema = z.enum(def.values);
+				break;
+			case 'url':
+				schema = z.string().url();
+				break;
+			default:
+				schema = z.string();
+				if (def.pattern) {
+					schema = schema.regex(new RegExp(def.pattern), `Valor deve seguir o padrão ${def.pattern}`);
+				}
+				if (def.min !== undefined) schema = schema.min(def.min);
+				if (def.max !== undefined) schema = schema.max(def.max);
+		}
+
+		if (def.default !== undefined) {
+			schema = schema.default(def.default);
+		} else if (!def.required) {
+			schema = schema.optional();
+		}
+
+		shape[name] = schema;
+	}
+
+	return z.object(shape).strict();
+}
+
+/**
+ * Validar os parâmetros informados contra o manifesto do template
+ * @param {Object} template - Template carregado por getTemplate
+ * @param {Object} values - Parâmetros enviados pelo cliente
+ * @returns {{success: boolean, data?: Object, error?: z.ZodError}} Resultado do safeParse
+ */
+function validateTemplateParameters(template, values = {}) {
+	return buildParametersSchema(template.parameters).safeParse(values);
+}
+
+/**
+ * Instanciar um template em uma pasta, renderizando placeholders
+ * @param {Object} template - Template carregado por getTemplate
+ * @param {string} destDir - Pasta do projeto
+ * @param {Object} params - Parâmetros já validados por validateTemplateParameters
+ * @param {Object} extras - Valores adicionais disponíveis no template (ex.: projectId)
+ * @returns {Promise<string[]>} Caminhos relativos dos arquivos gerados
+ */
+async function instantiateTemplate(template, destDir, params, extras = {}) {
+	// Todo parâmetro declarado existe no contexto, mesmo opcional e sem valor
+	const context = { ...extras };
+	for (const name of Object.keys(template.parameters)) {
+		context[name] = params[name];
+	}
+
+	return renderDirectory(template.path, destDir, context, { exclude: [TEMPLATE_MANIFEST] });
+}
+
+module.exports = {
+	TEMPLATES_DIR,
+	TEMPLATE_MANIFEST,
+	listTemplates,
+	getTemplate,
+	validateTemplateParameters,
+	instantiateTemplate
+};
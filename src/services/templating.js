@@ -0,0 +1,261 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/*
+ * Motor de placeholders usado na instanciação de templates.
+ *
+ * Sintaxe (escolhida para não colidir com {{appTitle}} do UI5 e {i18n>...}):
+ *   {%= nome %}              -> valor do parâmetro
+ *   {%= nome | path %}       -> valor com filtros (path, basename, upper, lower, json, script, xml, properties)
+ *   {% if nome %}...{% else %}...{% endif %}  -> bloco condicional (aceita !nome)
+ *   __nome__                 -> em nomes de arquivos/pastas
+ */
+
+const VALUE_REGEX = /\{%=\s*([a-zA-Z_]\w*)((?:\s*\|\s*[a-zA-Z_]\w*)*)\s*%\}/g;
+const BLOCK_REGEX = /\{%\s*(if|else|endif)(?:\s+(!?[a-zA-Z_]\w*))?\s*%\}/g;
+const FILENAME_REGEX = /__([a-zA-Z_][a-zA-Z0-9]*)__/g;
+
+// Pastas geradas que não devem ser reescritas ao trocar o namespace
+const REWRITE_SKIP_DIRS = ['node_modules', 'dist', '.git'];
+
+const FILTERS = {
+	// builder.fsc.service -> builder/fsc/service (caminhos de módulo do sap.ui.define/mockserver)
+	path: value => String(value).replace(/\./g, '/'),
+	// /sap/opu/odata/builder/FSC_SERVICE_SRV/ -> FSC_SERVICE_SRV
+	basename: value => String(value).split('/').filter(Boolean).pop() || '',
+	upper: value => String(value).toUpperCase(),
+	lower: value => String(value).toLowerCase(),
+	json: value => JSON.stringify(value),
+	// JSON dentro de <script> inline: "</script>" no valor não fecha a tag
+	script: value => JSON.stringify(value).replace(/</g, '\\u003c'),
+	xml: value => String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;'),
+	// Valor de .properties: quebras de linha não viram novas chaves
+	properties: value => String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/\r?\n|\r/g, '\\n')
+		.replace(/^\s/, char => `\\${char}`)
+};
+
+/**
+ * Renderizar uma string com placeholders e blocos condicionais
+ * @param {string} content - Conteúdo com placeholders
+ * @param {Object} context - Valores disponíveis
+ * @returns {string} Conteúdo renderizado
+ */
+function renderString(content, context) {
+	return renderValues(renderBlocks(content, context), context);
+}
+
+// Função auxiliar para resolver {% if %}/{% else %}/{% endif %} (com aninhamento)
+function renderBlocks(content, context) {
+	const stack = []; // um nível por {% if %} aberto
+	let output = '';
+	let lastIndex = 0;
+	let match;
+
+	const isActive = () => stack.every(level => level.active);
+
+	BLOCK_REGEX.lastIndex = 0;
+	while ((match = BLOCK_REGEX.exec(content)) !== null) {
+		let start = match.index;
+		let end = BLOCK_REGEX.lastIndex;
+
+		// Tag sozinha na linha: remove a linha inteira para não deixar linhas em branco
+		const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+		const lineEndIdx = content.indexOf('\n', end);
+		const lineEnd = lineEndIdx === -1 ? content.length : lineEndIdx + 1;
+		if (!content.slice(lineStart, start).trim() && !content.slice(end, lineEnd).trim()) {
+			start = lineStart;
+			end = lineEnd;
+		}
+
+		if (isActive()) output += content.slice(lastIndex, start);
+		lastIndex = end;
+
+		const [, tag, expr] = match;
+		if (tag === 'if') {
+			if (!expr) throw new Error('Bloco {% if %} sem condição');
+			const negated = expr.startsWith('!');
+			const name = negated ? expr.slice(1) : expr;
+			const truthy = isTruthy(lookup(context, name));
+			stack.push({ active: negated ? !truthy : truthy });
+		} else if (tag === 'else') {
+			if (!stack.length) throw new Error('{% else %} sem {% if %} correspondente');
+			const level = stack[stack.length - 1];
+			level.active = !level.active;
+		} else {
+			if (!stack.length) throw new Error('{% endif %} sem {% if %} correspondente');
+			stack.pop();
+		}
+
+		// Mantém o lastIndex da regex correto após ajustar "end"
+		BLOCK_REGEX.lastIndex = end;
+	}
+
+	if (stack.length) throw new Error('Bloco {% if %} sem {% endif %}');
+
+	return output + content.slice(lastIndex);
+}
+
+// Função auxiliar para substituir {%= nome | filtro %}
+function renderValues(content, context) {
+	return content.replace(VALUE_REGEX, (_match, name, filterChain) => {
+		let value = lookup(context, name);
+		if (value === undefined || value === null) value = '';
+
+		const filters = filterChain.split('|').map(f => f.trim()).filter(Boolean);
+		for (const filter of filters) {
+			if (!FILTERS[filter]) throw new Error(`Filtro de template desconhecido: ${filter}`);
+			value = FILTERS[filter](value);
+		}
+
+		return String(value);
+	});
+}
+
+/**
+ * Substituir placeholders __nome__ em um nome de arquivo ou pasta
+ * @param {string} name - Nome do arquivo/pasta
+ * @param {Object} context - Valores disponíveis
+ * @returns {string} Nome renderizado (placeholders desconhecidos são mantidos)
+ */
+function renderFileName(name, context) {
+	const rendered = name.replace(FILENAME_REGEX, (match, key) => {
+		const value = context[key];
+		return value === undefined || value === null || value === '' ? match : String(value);
+	});
+
+	// Um valor de parâmetro nunca pode mudar a pasta de destino
+	if (rendered !== name && (/[\\/]/.test(rendered) || rendered === '..' || rendered === '.')) {
+		throw new Error(`Nome de arquivo inválido gerado pelo template: ${rendered}`);
+	}
+
+	return rendered;
+}
+
+// Função auxiliar que falha cedo quando o template usa um placeholder não declarado
+function lookup(context, name) {
+	if (!Object.prototype.hasOwnProperty.call(context, name)) {
+		throw new Error(`Placeholder desconhecido no template: ${name}`);
+	}
+	return context[name];
+}
+
+function isTruthy(value) {
+	return !(value === undefined || value === null || value === false || value === '' || value === 0);
+}
+
+/**
+ * Verificar se um buffer parece binário (contém byte nulo no início)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {boolean} true se for binário
+ */
+function isBinaryBuffer(buffer) {
+	const sample = buffer.subarray(0, 8000);
+	return sample.includes(0);
+}
+
+/**
+ * Copiar uma pasta renderizando placeholders em conteúdos e nomes
+ * @param {string} src - Pasta de origem
+ * @param {string} dest - Pasta de destino
+ * @param {Object} context - Valores disponíveis
+ * @param {Object} options - { exclude: nomes a ignorar na raiz }
+ * @returns {Promise<string[]>} Caminhos relativos dos arquivos gerados
+ */
+async function renderDirectory(src, dest, context, options = {}, relativePath = '') {
+	const exclude = options.exclude || [];
+	const entries = await fs.readdir(src, { withFileTypes: true });
+	const written = [];
+
+	for (const entry of entries) {
+		if (!relativePath && exclude.includes(entry.name)) continue;
+
+		const targetName = renderFileName(entry.name, context);
+		const srcPath = path.join(src, entry.name);
+		const destPath = path.join(dest, targetName);
+		const relPath = path.posix.join(relativePath, targetName);
+
+		if (entry.isDirectory()) {
+			await fs.mkdir(destPath, { recursive: true });
+			written.push(...await renderDirectory(srcPath, destPath, context, options, relPath));
+		} else if (entry.isFile()) {
+			const buffer = await fs.readFile(srcPath);
+
+			if (isBinaryBuffer(buffer)) {
+				await fs.writeFile(destPath, buffer);
+			} else {
+				try {
+					await fs.writeFile(destPath, renderString(buffer.toString('utf8'), context), 'utf8');
+				} catch (e) {
+					e.message = `${relPath}: ${e.message}`;
+					throw e;
+				}
+			}
+			written.push(relPath);
+		}
+	}
+
+	return written;
+}
+
+/**
+ * Trocar um namespace por outro em todos os arquivos de texto de uma pasta,
+ * nas formas com ponto (builder.fsc.service) e de caminho (builder/fsc/service)
+ * - as mesmas geradas por {%= namespace %} e {%= namespace | path %}
+ * @param {string} dirPath - Pasta do projeto
+ * @param {string} from - Namespace atual
+ * @param {string} to - Novo namespace
+ * @returns {Promise<string[]>} Caminhos relativos dos arquivos alterados
+ */
+async function rewriteNamespace(dirPath, from, to, relativePath = '') {
+	const replacements = [
+		[namespaceRegex(from, '.'), to],
+		[namespaceRegex(FILTERS.path(from), '/'), FILTERS.path(to)]
+	];
+	const entries = await fs.readdir(dirPath, { withFileTypes: true });
+	const changed = [];
+
+	for (const entry of entries) {
+		const fullPath = path.join(dirPath, entry.name);
+		const relPath = path.posix.join(relativePath, entry.name);
+
+		if (entry.isDirectory()) {
+			if (REWRITE_SKIP_DIRS.includes(entry.name)) continue;
+			changed.push(...await rewriteNamespace(fullPath, from, to, relPath));
+		} else if (entry.isFile()) {
+			const buffer = await fs.readFile(fullPath);
+			if (isBinaryBuffer(buffer)) continue;
+
+			const content = buffer.toString('utf8');
+			const updated = replacements.reduce((acc, [regex, value]) => acc.replace(regex, value), content);
+			if (updated !== content) {
+				await fs.writeFile(fullPath, updated, 'utf8');
+				changed.push(relPath);
+			}
+		}
+	}
+
+	return changed;
+}
+
+// Função auxiliar: casa o namespace inteiro (não "xbuilder.fsc.service" nem "builder.fsc.services")
+function namespaceRegex(namespace, separator) {
+	const escaped = namespace.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+	const sep = separator === '.' ? '\\.' : '\\/';
+	return new RegExp(`(?<![\\w${sep}])${escaped}(?![\\w])`, 'g');
+}
+
+module.exports = {
+	FILTERS,
+	renderString,
+	renderFileName,
+	renderDirectory,
+	rewriteNamespace,
+	isBinaryBuffer
+};
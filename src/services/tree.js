@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ignore = require('ignore');
+
+// Padrões ignorados por padrão (sintaxe .gitignore)
+const DEFAULT_IGNORES = ['node_modules/', 'dist/'];
+
+// O repositório do histórico nunca aparece, mesmo com ignoreDefaults=false
+const ALWAYS_IGNORED = ['.git/'];
+
+// Máximo de entradas por resposta da rota de árvore (limit padrão e teto)
+const TREE_MAX_ENTRIES = parseInt(process.env.TREE_MAX_ENTRIES) || 5000;
+
+/**
+ * Montar o matcher de ignore do projeto: padrões default + .gitignore + extras
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} options - { defaults: usa DEFAULT_IGNORES, gitignore: lê o .gitignore, patterns: extras }
+ * @returns {Promise<Function>} (relPath, isDirectory) => boolean
+ */
+async function createIgnoreMatcher(projectPath, options = {}) {
+	const matcher = ignore().add(ALWAYS_IGNORED);
+
+	if (options.defaults !== false) matcher.add(DEFAULT_IGNORES);
+
+	if (options.gitignore !== false) {
+		try {
+			matcher.add(await fs.readFile(path.join(projectPath, '.gitignore'), 'utf8'));
+		} catch (e) {
+			// Projeto sem .gitignore
+		}
+	}
+
+	if (options.patterns && options.patterns.length) matcher.add(options.patterns);
+
+	return (relPath, isDirectory) => matcher.ignores(isDirectory ? `${relPath}/` : relPath);
+}
+
+/**
+ * Listar arquivos e pastas do projeto respeitando ignore e profundidade
+ * A varredura é sequencial e em ordem estável (pastas primeiro, depois por nome), então
+ * limit/offset paginam de forma consistente; na lista plana cada pasta vem antes do conteúdo
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Object} options - { path: subpasta inicial, depth, ignored: matcher, format: 'tree'|'flat', limit, offset (só flat) }
+ * @returns {Promise<Object>} { entries: árvore (children) ou lista plana, truncated: parou no limit }
+ */
+async function listProjectEntries(projectPath, options = {}) {
+	const depth = options.depth ?? Infinity;
+	const isIgnored = options.ignored || (() => false);
+	const flat = options.format === 'flat';
+	const startRel = options.path || '';
+	const limit = options.limit ?? Infinity;
+	const offset = flat ? options.offset || 0 : 0;
+	const flatList = [];
+	let visited = 0;
+	let truncated = false;
+
+	async function walk(relDir, level) {
+		const entries = await fs.readdir(path.join(projectPath, relDir), { withFileTypes: true });
+		const visible = entries
+			.filter(entry => !isIgnored(path.posix.join(relDir, entry.name), entry.isDirectory()))
+			.sort((a, b) => {
+				// Diretórios primeiro, depois arquivos
+				if (a.isDirectory() !== b.isDirectory()) {
+					return a.isDirectory() ? -1 : 1;
+				}
+				return a.name.localeCompare(b.name);
+			});
+
+		const nodes = [];
+		for (const entry of visible) {
+			// Para no limite: o cliente continua com offset (flat) ou ?path=<pasta> (tree)
+			if (visited >= offset + limit) {
+				truncated = true;
+				break;
+			}
+			visited++;
+
+			const relPath = path.posix.join(relDir, entry.name);
+			const keep = visited > offset;
+
+			if (entry.isDirectory()) {
+				const node = { name: entry.name, type: 'directory', path: relPath };
+				if (flat && keep) flatList.push({ ...node });
+				if (level < depth) {
+					node.children = await walk(relPath, level + 1);
+				} else {
+					// Não expandida: o cliente pede ?path=<pasta> quando precisar
+					node.children = null;
+					node.hasChildren = await hasVisibleChildren(relPath);
+					if (flat && keep) flatList[flatList.length - 1].hasChildren = node.hasChildren;
+				}
+				nodes.push(node);
+				if (truncated) break;
+				continue;
+			}
+
+			if (flat && !keep) continue;
+
+			const stats = await fs.stat(path.join(projectPath, relPath));
+			const node = {
+				name: entry.name,
+				type: 'file',
+				path: relPath,
+				size: stats.size,
+				modified: stats.mtime
+			};
+			nodes.push(node);
+			if (flat) flatList.push(node);
+		}
+
+		return nodes;
+	}
+
+	async function hasVisibleChildren(relDir) {
+		const entries = await fs.readdir(path.join(projectPath, relDir), { withFileTypes: true });
+		return entries.some(entry => !isIgnored(path.posix.join(relDir, entry.name), entry.isDirectory()));
+	}
+
+	const tree = await walk(startRel, 1);
+	return { entries: flat ? flatList : tree, truncated };
+}
+
+module.exports = {
+	DEFAULT_IGNORES,
+	TREE_MAX_ENTRIES,
+	createIgnoreMatcher,
+	listProjectEntries
+};
@@ -0,0 +1,170 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isBinaryBuffer } = require('./templating');
+
+// Pasta da aplicação UI5 dentro do projeto (padrão dos templates)
+const WEBAPP_DIR = 'webapp';
+
+// Sufixos que o UI5 usa para resolver views, fragments e controllers pelo nome
+const ARTIFACT_SUFFIXES = [
+	{ kind: 'view', suffix: '.view.xml' },
+	{ kind: 'fragment', suffix: '.fragment.xml' },
+	{ kind: 'controller', suffix: '.controller.js' }
+];
+
+// Arquivos onde nomes de módulo UI5 aparecem (controllerName, fragmentName, extend(...), manifest)
+const REFERENCE_EXTENSIONS = ['.xml', '.js', '.json', '.html'];
+
+/**
+ * Descobrir o nome de módulo UI5 de um artefato a partir do caminho no projeto
+ * (ex.: webapp/view/Home.view.xml -> { kind: 'view', name: 'ns.view.Home' })
+ * @param {string} relPath - Caminho relativo à raiz do projeto
+ * @param {string} namespace - Namespace da aplicação
+ * @returns {{kind: string, name: string}|null} Artefato ou null se não for view/fragment/controller
+ */
+function getArtifactName(relPath, namespace) {
+	const normalized = relPath.split(path.sep).join('/');
+	if (!normalized.startsWith(`${WEBAPP_DIR}/`)) return null;
+
+	const inWebapp = normalized.slice(WEBAPP_DIR.length + 1);
+	const artifact = ARTIFACT_SUFFIXES.find(({ suffix }) => inWebapp.endsWith(suffix));
+	if (!artifact) return null;
+
+	const modulePath = inWebapp.slice(0, -artifact.suffix.length);
+	return {
+		kind: artifact.kind,
+		name: [namespace, ...modulePath.split('/')].join('.')
+	};
+}
+
+/**
+ * Atualizar referências a views/fragments/controllers movidos
+ * (controllerName/viewName/fragmentName, extend("...") e targets do manifest.json)
+ * @param {string} projectPath - Pasta do projeto
+ * @param {Array<{from: string, to: string}>} moves - Arquivos movidos (caminhos relativos ao projeto)
+ * @param {string} namespace - Namespace da aplicação
+ * @returns {Promise<{changedFiles: string[], renamed: Object[], warnings: string[]}>} Resultado
+ */
+async function updateArtifactReferences(projectPath, moves, namespace) {
+	const renamed = [];
+	for (const move of moves) {
+		const from = getArtifactName(move.from, namespace);
+		const to = getArtifactName(move.to, namespace);
+		if (from && to && from.kind === to.kind && from.name !== to.name) {
+			renamed.push({ kind: from.kind, from: from.name, to: to.name });
+		}
+	}
+
+	const changedFiles = new Set();
+	const warnings = [];
+	if (!renamed.length) return { changedFiles: [], renamed, warnings };
+
+	// 1) Nomes completos em XML/JS/JSON/HTML
+	const webappPath = path.join(projectPath, WEBAPP_DIR);
+	for (const relPath of await listReferenceFiles(webappPath)) {
+		const fullPath = path.join(webappPath, relPath);
+		const content = await fs.readFile(fullPath, 'utf8');
+
+		const updated = renamed.reduce(
+			(acc, { from, to }) => acc.replace(moduleNameRegex(from), to),
+			content
+		);
+		if (updated !== content) {
+			await fs.writeFile(fullPath, updated, 'utf8');
+			changedFiles.add(path.posix.join(WEBAPP_DIR, relPath));
+		}
+	}
+
+	// 2) viewName relativo ao routing.config.viewPath no manifest.json
+	const manifestPath = path.join(webappPath, 'manifest.json');
+	let manifestContent;
+	try {
+		manifestContent = await fs.readFile(manifestPath, 'utf8');
+	} catch (e) {
+		return { changedFiles: [...changedFiles].sort(), renamed, warnings };
+	}
+
+	let viewPath = null;
+	try {
+		const manifest = JSON.parse(manifestContent);
+		const routing = (manifest['sap.ui5'] || {}).routing || {};
+		viewPath = (routing.config || {}).viewPath || null;
+	} catch (e) {
+		warnings.push('webapp/manifest.json não é um JSON válido: targets de rota não foram atualizados');
+	}
+
+	if (viewPath) {
+		let updated = manifestContent;
+		for (const { from, to } of renamed.filter(item => item.kind === 'view')) {
+			if (!from.startsWith(`${viewPath}.`)) continue;
+
+			if (!to.startsWith(`${viewPath}.`)) {
+				warnings.push(`View ${to} ficou fora de ${viewPath}: ajuste os targets do manifest.json manualmente`);
+				continue;
+			}
+
+			const oldRelative = from.slice(viewPath.length + 1);
+			const newRelative = to.slice(viewPath.length + 1);
+			const regex = new RegExp(`("viewName"\\s*:\\s*")${escapeRegex(oldRelative)}(")`, 'g');
+			updated = updated.replace(regex, `$1${newRelative}$2`);
+		}
+
+		if (updated !== manifestContent) {
+			await fs.writeFile(manifestPath, updated, 'utf8');
+			changedFiles.add(`${WEBAPP_DIR}/manifest.json`);
+		}
+	}
+
+	return { changedFiles: [...changedFiles].sort(), renamed, warnings };
+}
+
+// Função auxiliar para listar arquivos de texto que podem conter nomes de módulo
+async function listReferenceFiles(dirPath, relativePath = '') {
+	let entries;
+	try {
+		entries = await fs.readdir(dirPath, { withFileTypes: true });
+	} catch (e) {
+		return [];
+	}
+
+	const files = [];
+	for (const entry of entries) {
+		const relPath = path.posix.join(relativePath, entry.name);
+		if (entry.isDirectory()) {
+			if (entry.name === 'node_modules') continue;
+			files.push(...await listReferenceFiles(path.join(dirPath, entry.name), relPath));
+		} else if (entry.isFile() && REFERENCE_EXTENSIONS.includes(path.extname(entry.name))) {
+			const buffer = await fs.readFile(path.join(dirPath, entry.name));
+			if (!isBinaryBuffer(buffer)) files.push(relPath);
+		}
+	}
+	return files;
+}
+
+// Função auxiliar: casa o nome completo, sem pegar "ns.view.HomeDetail" ou "ns.view.Home.Sub"
+function moduleNameRegex(name) {
+	return new RegExp(`(?<![\\w.])${escapeRegex(name)}(?![\\w]|\\.\\w)`, 'g');
+}
+
+function escapeRegex(value) {
+	return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Serializar o manifest.json alterado com a mesma indentação e quebra de linha final do original
+ * @param {string} original - Conteúdo atual do arquivo
+ * @param {Object} manifest - Manifest alterado
+ * @returns {string} Novo conteúdo
+ */
+function stringifyManifest(original, manifest) {
+	const indentMatch = /\n([ \t]+)"/.exec(original);
+	const indent = indentMatch ? indentMatch[1] : 4;
+	return JSON.stringify(manifest, null, indent) + (original.endsWith('\n') ? '\n' : '');
+}
+
+module.exports = {
+	WEBAPP_DIR,
+	getArtifactName,
+	updateArtifactReferences,
+	stringifyManifest
+};
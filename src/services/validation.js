@@ -0,0 +1,279 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { XMLValidator } = require('fast-xml-parser');
+const { WEBAPP_DIR } = require('./ui5');
+const { createIgnoreMatcher, listProjectEntries } = require('./tree');
+
+const MANIFEST_FILE = `${WEBAPP_DIR}/manifest.json`;
+
+// Arquivos XML verificados quanto à boa formação
+const XML_FILE_REGEX = /(\.view\.xml|\.fragment\.xml|(^|\/)annotation\.xml)$/;
+
+// Extensão da view por viewType do routing
+const VIEW_EXTENSIONS = { XML: '.view.xml', JS: '.view.js', JSON: '.view.json', HTML: '.view.html' };
+
+const RESOURCE_MODEL_TYPE = 'sap.ui.model.resource.ResourceModel';
+
+/**
+ * Validar a estrutura de um projeto UI5: XML bem formado (views, fragments, annotation.xml),
+ * manifest.json válido, controllers das views, views dos targets do routing e chaves i18n usadas
+ * @param {string} projectPath - Pasta do projeto
+ * @param {string|null} namespace - Namespace da aplicação (detectProjectNamespace)
+ * @returns {Promise<{diagnostics: Object[], filesChecked: number}>}
+ *   diagnostics: { severity: 'error'|'warning', rule, file, line, column, message }
+ */
+async function validateProject(projectPath, namespace) {
+	const diagnostics = [];
+	const report = (severity, rule, file, position, message) => {
+		diagnostics.push({
+			severity,
+			rule,
+			file,
+			line: position ? position.line : null,
+			column: position ? position.column : null,
+			message
+		});
+	};
+
+	const files = await listWebappFiles(projectPath);
+	const fileSet = new Set(files);
+	const contents = new Map();
+	const read = async (relPath) => {
+		if (!contents.has(relPath)) contents.set(relPath, await fs.readFile(path.join(projectPath, relPath), 'utf8'));
+		return contents.get(relPath);
+	};
+
+	// 1) manifest.json
+	let manifest = null;
+	if (!fileSet.has(MANIFEST_FILE)) {
+		report('error', 'manifest-missing', MANIFEST_FILE, null, 'manifest.json não encontrado');
+	} else {
+		const content = await read(MANIFEST_FILE);
+		try {
+			manifest = JSON.parse(content);
+		} catch (err) {
+			report('error', 'json-syntax', MANIFEST_FILE, jsonErrorPosition(err, content), `JSON inválido: ${err.message}`);
+		}
+	}
+
+	// 2) XML bem formado
+	const xmlFiles = files.filter(file => XML_FILE_REGEX.test(file));
+	for (const file of xmlFiles) {
+		const result = XMLValidator.validate(await read(file));
+		if (result !== true) {
+			const { msg, line, col } = result.err;
+			report('error', 'xml-syntax', file, { line, column: col }, `XML malformado: ${msg}`);
+		}
+	}
+
+	// 3) controllerName das views
+	for (const file of xmlFiles.filter(item => item.endsWith('.view.xml'))) {
+		const content = await read(file);
+		const match = /\bcontrollerName\s*=\s*["']([^"']+)["']/.exec(content);
+		if (!match) continue;
+
+		const controllerFile = resolveModuleFile(match[1], namespace, '.controller.js');
+		const position = positionAt(content, match.index);
+		if (!controllerFile) {
+			if (!match[1].startsWith('sap.')) {
+				report('warning', 'controller-namespace', file, position, `Controller ${match[1]} está fora do namespace ${namespace}: não verificado`);
+			}
+		} else if (!fileSet.has(controllerFile)) {
+			report('error', 'controller-missing', file, position, `Controller ${match[1]} não encontrado (esperado em ${controllerFile})`);
+		}
+	}
+
+	if (manifest) {
+		const manifestContent = await read(MANIFEST_FILE);
+
+		// Posição aproximada de um trecho do manifest (opcionalmente depois de uma seção, ex.: "targets")
+		const manifestPosition = (pattern, after) => {
+			const regex = new RegExp(pattern, 'g');
+			regex.lastIndex = after ? Math.max(manifestContent.indexOf(after), 0) : 0;
+			const match = regex.exec(manifestContent);
+			return match ? positionAt(manifestContent, match.index) : null;
+		};
+
+		// 4) Routing: targets -> views, rotas -> targets, rootView
+		const ui5 = manifest['sap.ui5'] || {};
+		const routing = ui5.routing || {};
+		const config = routing.config || {};
+		const targets = routing.targets || {};
+
+		for (const [targetName, target] of Object.entries(targets)) {
+			if (target.type && target.type !== 'View') continue; // Targets de componente
+			const viewName = target.viewName || target.name;
+			if (!viewName) continue;
+
+			const viewPath = target.viewPath || target.path || config.viewPath || config.path;
+			const fullName = viewPath ? `${viewPath}.${viewName}` : viewName;
+			const viewType = (target.viewType || config.viewType || 'XML').toUpperCase();
+			const viewFile = resolveModuleFile(fullName, namespace, VIEW_EXTENSIONS[viewType] || VIEW_EXTENSIONS.XML);
+
+			if (viewFile && !fileSet.has(viewFile)) {
+				report('error', 'routing-view-missing', MANIFEST_FILE, manifestPosition(`"${escapeRegex(targetName)}"\\s*:`, '"targets"'),
+					`Target '${targetName}' aponta para a view ${fullName}, que não existe (esperada em ${viewFile})`);
+			}
+		}
+
+		const routes = Array.isArray(routing.routes)
+			? routing.routes
+			: Object.entries(routing.routes || {}).map(([name, route]) => ({ name, ...route }));
+		for (const route of routes) {
+			for (const targetName of [].concat(route.target || [])) {
+				if (!targets[targetName]) {
+					report('error', 'routing-target-missing', MANIFEST_FILE, manifestPosition(`"name"\\s*:\\s*"${escapeRegex(route.name || '')}"`, '"routes"'),
+						`Rota '${route.name}' usa o target '${targetName}', que não existe em routing.targets`);
+				}
+			}
+		}
+
+		const bypassed = (config.bypassed && config.bypassed.target) || [];
+		for (const targetName of [].concat(bypassed)) {
+			if (!targets[targetName]) {
+				report('warning', 'routing-target-missing', MANIFEST_FILE, manifestPosition('"bypassed"'),
+					`bypassed usa o target '${targetName}', que não existe em routing.targets`);
+			}
+		}
+
+		const rootView = typeof ui5.rootView === 'string' ? ui5.rootView : ui5.rootView && ui5.rootView.viewName;
+		if (rootView) {
+			const rootType = ((ui5.rootView && ui5.rootView.type) || 'XML').toUpperCase();
+			const rootFile = resolveModuleFile(rootView, namespace, VIEW_EXTENSIONS[rootType] || VIEW_EXTENSIONS.XML);
+			if (rootFile && !fileSet.has(rootFile)) {
+				report('error', 'routing-view-missing', MANIFEST_FILE, manifestPosition('"rootView"'),
+					`rootView ${rootView} não existe (esperada em ${rootFile})`);
+			}
+		}
+
+		// 5) Chaves i18n: {modelo>chave} nas views/fragments e no manifest, {{chave}} no manifest
+		const bundles = await loadResourceBundles(manifest, namespace, fileSet, read);
+		for (const bundle of bundles.filter(item => !item.files.length)) {
+			report('warning', 'i18n-bundle-missing', MANIFEST_FILE, manifestPosition(bundle.source, bundle.app ? null : '"models"'),
+				`Arquivo i18n ${bundle.app ? 'do sap.app' : `do modelo '${bundle.model}'`} não encontrado (${bundle.basePath}.properties)`);
+		}
+
+		const modelBundles = bundles.filter(bundle => bundle.model && bundle.files.length);
+		for (const file of [...xmlFiles.filter(item => !item.endsWith('annotation.xml')), MANIFEST_FILE]) {
+			const content = await read(file);
+			for (const bundle of modelBundles) {
+				const regex = new RegExp(`(?<![\\w@])${escapeRegex(bundle.model)}>([\\w.-]+)`, 'g');
+				for (const match of content.matchAll(regex)) {
+					if (!bundle.keys.has(match[1])) {
+						report('error', 'i18n-key-missing', file, positionAt(content, match.index),
+							`Chave i18n '${match[1]}' não existe em ${bundle.basePath}*.properties`);
+					}
+				}
+			}
+		}
+
+		const appBundle = bundles.find(bundle => bundle.app && bundle.files.length);
+		if (appBundle) {
+			for (const match of manifestContent.matchAll(/\{\{([\w.-]+)\}\}/g)) {
+				if (!appBundle.keys.has(match[1])) {
+					report('error', 'i18n-key-missing', MANIFEST_FILE, positionAt(manifestContent, match.index),
+						`Chave i18n '${match[1]}' não existe em ${appBundle.basePath}*.properties`);
+				}
+			}
+		}
+	}
+
+	diagnostics.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+	return { diagnostics, filesChecked: xmlFiles.length + (fileSet.has(MANIFEST_FILE) ? 1 : 0) };
+}
+
+// Função auxiliar: arquivos da webapp (caminhos relativos ao projeto), com as regras de ignore da árvore
+async function listWebappFiles(projectPath) {
+	try {
+		const ignored = await createIgnoreMatcher(projectPath);
+		const { entries } = await listProjectEntries(projectPath, { path: WEBAPP_DIR, ignored, format: 'flat' });
+		return entries.filter(entry => entry.type === 'file').map(entry => entry.path);
+	} catch (e) {
+		if (e.code === 'ENOENT') return []; // Projeto sem webapp
+		throw e;
+	}
+}
+
+// Função auxiliar: nome de módulo UI5 -> arquivo (null se estiver fora do namespace)
+function resolveModuleFile(moduleName, namespace, suffix) {
+	if (!namespace || !moduleName.startsWith(`${namespace}.`)) return null;
+	const modulePath = moduleName.slice(namespace.length + 1).split('.').join('/');
+	return `${WEBAPP_DIR}/${modulePath}${suffix}`;
+}
+
+// Função auxiliar: modelos ResourceModel do manifest (mais o i18n do sap.app) com as chaves de cada bundle
+async function loadResourceBundles(manifest, namespace, fileSet, read) {
+	const bundles = [];
+	const models = (manifest['sap.ui5'] || {}).models || {};
+
+	for (const [model, definition] of Object.entries(models)) {
+		if (!model || definition.type !== RESOURCE_MODEL_TYPE) continue;
+		const settings = definition.settings || {};
+		const basePath = settings.bundleUrl
+			? `${WEBAPP_DIR}/${settings.bundleUrl.replace(/\.properties$/, '')}`
+			: resolveModuleFile(settings.bundleName || '', namespace, '');
+		if (basePath) bundles.push({ model, basePath, source: `"${escapeRegex(model)}"\\s*:` });
+	}
+
+	const appI18n = (manifest['sap.app'] || {}).i18n;
+	const appUrl = typeof appI18n === 'string' ? appI18n : (appI18n && appI18n.bundleUrl) || 'i18n/i18n.properties';
+	bundles.push({ app: true, model: null, basePath: `${WEBAPP_DIR}/${appUrl.replace(/\.properties$/, '')}`, source: '"i18n"\\s*:' });
+
+	for (const bundle of bundles) {
+		// Base e variantes de idioma (i18n.properties, i18n_pt_BR.properties...): a chave vale se existir em alguma
+		bundle.files = [...fileSet].filter(file =>
+			file === `${bundle.basePath}.properties` ||
+			(file.startsWith(`${bundle.basePath}_`) && file.endsWith('.properties')));
+		bundle.keys = new Set();
+		for (const file of bundle.files) {
+			for (const key of parsePropertiesKeys(await read(file))) bundle.keys.add(key);
+		}
+	}
+
+	return bundles;
+}
+
+// Função auxiliar: chaves de um .properties (ignora comentários e linhas de continuação)
+function parsePropertiesKeys(content) {
+	const keys = [];
+	let continuation = false;
+
+	for (const rawLine of content.split(/\r?\n/)) {
+		const line = rawLine.trim();
+		const isContinued = /(^|[^\\])(\\\\)*\\$/.test(line);
+
+		if (!continuation && line && !line.startsWith('#') && !line.startsWith('!')) {
+			const match = /^((?:\\.|[^=:\s\\])+)/.exec(line);
+			if (match) keys.push(match[1].replace(/\\(.)/g, '$1'));
+		}
+
+		continuation = isContinued;
+	}
+
+	return keys;
+}
+
+// Função auxiliar: índice no texto -> linha/coluna (1-based)
+function positionAt(content, index) {
+	const before = content.slice(0, index);
+	const line = before.split('\n').length;
+	return { line, column: index - before.lastIndexOf('\n') };
+}
+
+// Função auxiliar: posição do erro do JSON.parse ("at position N" ou "line L column C")
+function jsonErrorPosition(err, content) {
+	const lineMatch = /line (\d+) column (\d+)/.exec(err.message);
+	if (lineMatch) return { line: parseInt(lineMatch[1]), column: parseInt(lineMatch[2]) };
+
+	const positionMatch = /position (\d+)/.exec(err.message);
+	return positionMatch ? positionAt(content, parseInt(positionMatch[1])) : null;
+}
+
+function escapeRegex(value) {
+	return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = {
+	validateProject,
+	parsePropertiesKeys
+};
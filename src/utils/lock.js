@@ -0,0 +1,39 @@
+// Filas de promessas por chave: operações com a mesma chave rodam uma de cada vez
+const queues = new Map();
+
+/**
+ * Executar fn com exclusão mútua por chave (ex.: caminho de arquivo)
+ * @param {string} key - Chave do lock
+ * @param {Function} fn - Função assíncrona a executar
+ * @returns {Promise<*>} Resultado de fn
+ */
+function withLock(key, fn) {
+	const previous = queues.get(key) || Promise.resolve();
+	const run = previous.then(() => fn());
+
+	// A fila segue mesmo se fn falhar; a chave é liberada quando ninguém mais espera
+	const tail = run.catch(() => {});
+	queues.set(key, tail);
+	tail.then(() => {
+		if (queues.get(key) === tail) queues.delete(key);
+	});
+
+	return run;
+}
+
+/**
+ * Executar fn segurando várias chaves ao mesmo tempo (ex.: todos os arquivos de um patch).
+ * As chaves são adquiridas em ordem alfabética para duas operações não se travarem.
+ * @param {string[]} keys - Chaves do lock
+ * @param {Function} fn - Função assíncrona a executar
+ * @returns {Promise<*>} Resultado de fn
+ */
+function withLocks(keys, fn) {
+	const sorted = [...new Set(keys)].sort();
+	return sorted.reduceRight((inner, key) => () => withLock(key, inner), fn)();
+}
+
+module.exports = {
+	withLock,
+	withLocks
+};
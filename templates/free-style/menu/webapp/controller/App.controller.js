@@ -1,7 +1,7 @@
 sap.ui.define(['./_BaseController'], function (BaseController) {
 	'use strict';
 
-	return BaseController.extend('builder.fsc.service.controller.App', {
+	return BaseController.extend('{%= namespace %}.controller.App', {
 		onInit: async function () {
 			// apply content density mode to root view
 			let oView = this.getView();
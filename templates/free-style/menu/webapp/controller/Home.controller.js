@@ -9,7 +9,7 @@ sap.ui.define(
   function (BaseController, JSONModel, formatter, Filter, FilterOperator) {
     'use strict'
 
-    return BaseController.extend('builder.fsc.service.controller.Home', {
+    return BaseController.extend('{%= namespace %}.controller.Home', {
       onInit: function () {
         //debugger
 
@@ -25,7 +25,7 @@ sap.ui.define(
     var URLHelper = mobileLibrary.URLHelper;
 
     return CommomController.extend(
-      "builder.fsc.service.controller._BaseController",
+      "{%= namespace %}.controller._BaseController",
       {
         /**
          * Convenience method for accessing the router.